@@ -0,0 +1,148 @@
+const fs = require('fs');
+const path = require('path');
+const { otherTable, loadJson, flowSteps, findFilter, commentOutStep, stepComment, lit, parseExportArgs } = require('./flow-utils');
+
+/**
+ * Turns a recording from record_flow_stop into an OPA5 journey for sap.fe.test.
+ * Page object names match the JourneyRunner defaults of Fiori tools generated test setups;
+ * override them when the app registers different ones.
+ */
+function exportOpa5Journey(flow, { all = null, title = 'Recorded Fiori flow', listReportPage = 'onTheMainPage', objectPage = 'onTheObjectPage', formSection = null } = {}) {
+	const steps = flowSteps(flow);
+	const LR = listReportPage;
+	const OP = objectPage;
+	const body = [];
+
+	if (steps[0].tool !== 'start_app') {
+		body.push('Given.iStartMyApp();');
+	}
+
+	steps.forEach((step, index) => {
+		const a = step.arguments || {};
+		const label = stepComment(step, index);
+		if (step.outcome === 'error') {
+			body.push(`${label} - failed during recording, not exported`);
+			return;
+		}
+		if (otherTable(step)) {
+			body.push(`${label} - table "${otherTable(step)}" is not the list report table, not exported`);
+			return;
+		}
+
+		let lines;
+		switch (step.tool) {
+			case 'start_app':
+				lines = ['Given.iStartMyApp();', `Then.${LR}.iSeeThisPage();`];
+				break;
+			case 'set_filter': {
+				// Prefer the real property from all.json over the label-ish key the agent typed
+				const filter = findFilter(all, a.propertyKey);
+				lines = [`When.${LR}.onFilterBar().iChangeFilterField({ property: ${lit(filter ? filter.propertyKey : a.propertyKey)} }, ${lit(a.value)});`];
+				break;
+			}
+			case 'press_go':
+				lines = [`When.${LR}.onFilterBar().iExecuteSearch();`];
+				break;
+			case 'select_row':
+				lines = [`When.${LR}.onTable().iSelectRows(${a.match ? JSON.stringify(a.match) : Number(a.rowIndex) || 0});`];
+				break;
+			case 'select_rows':
+				lines = (a.rowIndices || []).map((rowIndex) => Number(rowIndex) || 0)
+					.concat((a.matches || []).map((match) => JSON.stringify(match)))
+					.map((row) => `When.${LR}.onTable().iSelectRows(${row});`);
+				break;
+			case 'select_all':
+				lines = [`When.${LR}.onTable().iSelectAllRows();`];
+				break;
+			case 'open_object_page':
+				lines = [`When.${LR}.onTable().iPressRow(${a.match ? JSON.stringify(a.match) : Number(a.rowIndex) || 0});`, `Then.${OP}.iSeeThisPage();`];
+				break;
+			case 'execute_action':
+			case 'execute_table_action':
+				lines = [`When.${LR}.onTable().iExecuteAction(${lit(a.action)});`];
+				break;
+			case 'execute_object_action':
+				lines = [`When.${OP}.onHeader().iExecuteAction(${lit(a.action)});`];
+				break;
+			case 'execute_dialog_action': {
+				const cancel = /^(cancel|close)$/i.test(String(a.action || '').trim());
+				lines = [`When.${LR}.onDialog().${cancel ? 'iCancel' : 'iConfirm'}();`];
+				break;
+			}
+			case 'fill_form_field':
+				if (!formSection) {
+					throw new Error('fill_form_field steps need the object page section holding the form (--form-section)');
+				}
+				lines = [`When.${OP}.onForm({ section: ${lit(formSection)} }).iChangeField({ property: ${lit(a.fieldName)} }, ${lit(a.value)});`];
+				break;
+			case 'submit_form':
+				lines = [`When.${OP}.onFooter().iExecuteSave();`];
+				break;
+			case 'discard_draft':
+				lines = [`When.${OP}.onFooter().iExecuteCancel();`];
+				break;
+			default:
+				// Selector-level tools (click_by_selector, wait_for_selector, ...) have no page object equivalent
+				if (commentOutStep(step)) body.push(`${label} - no sap.fe.test equivalent, not exported`);
+				return;
+		}
+
+		body.push(label, ...lines);
+		if (step.scenario === 'form_opened') body.push(`Then.${OP}.iSeeThisPage();`);
+		if (step.scenario === 'popup_dialog') body.push(`Then.${LR}.onDialog().iCheckState();`);
+	});
+
+	return [
+		'// Exported from a recorded Fiori MCP flow',
+		flow.startedAt ? `// Recorded at: ${flow.startedAt}` : null,
+		'sap.ui.define([',
+		'    "sap/ui/test/opaQunit"',
+		'], function (opaTest) {',
+		'    "use strict";',
+		'',
+		'    var Journey = {',
+		'        run: function () {',
+		`            QUnit.module(${lit(title)});`,
+		'',
+		`            opaTest(${lit(title)}, function (Given, When, Then) {`,
+		...body.map((line) => '                ' + line),
+		'            });',
+		'',
+		'            opaTest("Teardown", function (Given, When, Then) {',
+		'                Given.iTearDownMyApp();',
+		'            });',
+		'        }',
+		'    };',
+		'',
+		'    return Journey;',
+		'});',
+		''
+	].filter((line) => line !== null).join('\n');
+}
+
+function main() {
+	const args = parseExportArgs();
+	if (!args.flow) {
+		console.error('Usage: node src/export-opa5.js --flow <recording.json> [--out webapp/test/integration/FlowJourney.js] [--all all.json] [--form-section <section>] [--title "..."]');
+		process.exit(1);
+	}
+	const flow = loadJson(path.resolve(process.cwd(), args.flow), 'flow file');
+	const allPath = path.resolve(process.cwd(), args.all);
+	const all = fs.existsSync(allPath) ? loadJson(allPath, 'all.json') : null;
+	const journey = exportOpa5Journey(flow, { all, title: args.title, formSection: args.formSection });
+	const outPath = path.resolve(process.cwd(), args.out || `${path.basename(args.flow, '.json')}Journey.js`);
+	fs.mkdirSync(path.dirname(outPath), { recursive: true });
+	fs.writeFileSync(outPath, journey, 'utf-8');
+	console.log(`Wrote OPA5 journey to ${outPath}`);
+}
+
+if (require.main === module) {
+	try {
+		main();
+	} catch (e) {
+		console.error(e);
+		process.exit(1);
+	}
+}
+
+module.exports = { exportOpa5Journey };
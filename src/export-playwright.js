@@ -0,0 +1,371 @@
+const fs = require('fs');
+const path = require('path');
+const { otherTable, loadJson, flowSteps, findFilter, commentOutStep, stepComment, lit, parseExportArgs } = require('./flow-utils');
+const { ui5BusyState } = require('./runtime/ui5-idle');
+const { ui5TableOp } = require('./runtime/ui5-tables');
+const pageActions = require('./runtime/page-actions');
+const { getConfig } = require('./runtime/config');
+
+// Spec helpers mirror the runtime tools of the generated server so an exported flow drives the app exactly like
+// the agent did; where the runtime has a page-level function (idle wait, table access, page actions) it is embedded as is.
+const HELPERS = {
+	waitForUi5: String.raw`
+async function waitForUi5(page) {
+    await page.waitForFunction(() => {
+        const w = window;
+        return !!(w.sap && w.sap.ui?.getCore?.() && w.sap.ui.getCore().isInitialized?.());
+    });
+}`,
+	waitForUi5Idle: String.raw`
+// The runtime's idle check (src/runtime/ui5-idle.js): busy indicators and controls, transitions, pending rendering
+${ui5BusyState.toString()}
+
+async function waitForUi5Idle(page, timeoutMs = TIMEOUTS.toolSettleMs, quietMs = TIMEOUTS.idleQuietMs) {
+    const startedAt = Date.now();
+    let quietSince = null;
+    while (Date.now() - startedAt < timeoutMs) {
+        const reasons = await page.evaluate(ui5BusyState).catch(() => ['navigating']);
+        if (reasons.length) quietSince = null;
+        else if (quietSince === null) quietSince = Date.now();
+        else if (Date.now() - quietSince >= quietMs) return;
+        await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+}`,
+	startApp: String.raw`
+async function startApp(page) {
+    await page.goto(APP_URL, { waitUntil: 'domcontentloaded' });
+    await waitForUi5(page);
+    // Same idle wait as start_app
+    await waitForUi5Idle(page, TIMEOUTS.startSettleMs);
+}`,
+	clickBySelector: String.raw`
+// click_by_selector and type_by_selector of the runtime (src/runtime/page-actions.js)
+${pageActions.clickBySelector.toString()}`,
+	typeBySelector: String.raw`
+${pageActions.typeBySelector.toString()}`,
+	pressGo: String.raw`
+// press_go, set_filter and fill_form_field of the runtime (src/runtime/page-actions.js)
+${pageActions.pressGo.toString()}`,
+	setFilter: String.raw`
+${pageActions.setFilter.toString()}`,
+	fillFormField: String.raw`
+${pageActions.fillFormField.toString()}`,
+	tableOp: String.raw`
+// The runtime's sap.ui.table.Table access (src/runtime/ui5-tables.js)
+${ui5TableOp.toString()}
+
+async function tableOp(page, request) {
+    const result = await page.evaluate(ui5TableOp, request);
+    if (result && result.error) throw new Error(result.error);
+    return result;
+}
+
+// The index of the one loaded row with these column texts, bound properties or keys (select_row/open_object_page match)
+async function findRow(page, match) {
+    const { indices } = await tableOp(page, { op: 'find', match });
+    if (indices.length !== 1) throw new Error(indices.length + ' rows match ' + JSON.stringify(match));
+    return indices[0];
+}
+
+// sort_table, group_table and set_visible_columns: one panel of the table's personalization dialog
+async function personalizeTable(page, kind, columns, descending) {
+    await tableOp(page, { op: 'openP13n' });
+    await page.waitForSelector('.sapMP13nPopup.sapMDialog', { timeout: 10000 });
+    await waitForUi5Idle(page);
+    await tableOp(page, { op: 'p13n', kind, columns, descending });
+    await waitForUi5Idle(page);
+}`,
+	primaryTable: String.raw`
+// The runtime's table lookup and row tools (src/runtime/page-actions.js)
+${pageActions.primaryTable.toString()}`,
+	revealGridRow: String.raw`
+${pageActions.revealGridRow.toString()}`,
+	expandTreeNode: String.raw`
+async function expandTreeNode(page, rowIndex, expand) {
+    await revealGridRow(page, rowIndex);
+    await tableOp(page, { op: 'expand', rowIndex, expand });
+    await waitForUi5Idle(page);
+}`,
+	selectRow: String.raw`
+${pageActions.selectRow.toString()}`,
+	selectRows: String.raw`
+// Adds rows to the selection; selected rows are skipped since a checkbox click would deselect them
+async function selectRows(page, rowIndices) {
+    const { rows } = await tableOp(page, { op: 'selection' });
+    const selected = new Set(rows.map((row) => row['@index']));
+    for (const rowIndex of rowIndices.filter((index) => !selected.has(index))) {
+        await selectRow(page, rowIndex);
+    }
+    await waitForUi5Idle(page);
+}`,
+	selectAll: String.raw`
+async function selectAll(page, selectAllCss) {
+    const checkbox = page.locator(selectAllCss);
+    if (await checkbox.count()) {
+        if ((await checkbox.getAttribute('aria-checked')) !== 'true') await checkbox.click();
+    } else {
+        await tableOp(page, { op: 'selectAll' });
+    }
+    await waitForUi5Idle(page);
+}`,
+	setTableCell: String.raw`
+// set_table_cell: types into inputs and value helps (Enter confirms), picks select options, toggles checkboxes
+async function setTableCell(page, rowIndex, column, value) {
+    if (!(await page.locator("table[id$='-innerTable-listUl']").count())) await revealGridRow(page, rowIndex);
+    const cell = await tableOp(page, { op: 'cell', rowIndex, column });
+    if (!cell.editable) throw new Error(cell.column + ' of row ' + rowIndex + ' is not editable');
+    const editor = page.locator('[data-fiori-mcp-target="cell"]');
+    if (cell.control === 'checkbox') {
+        const wanted = value === true || /^(true|x|yes|1)$/i.test(String(value).trim());
+        if (wanted !== cell.value) await editor.click();
+    } else if (cell.control === 'select') {
+        await editor.click();
+        await page.locator('.sapMSelectList li:visible', { hasText: String(value) }).first().click();
+    } else {
+        await editor.fill(String(value));
+        await editor.press((await editor.evaluate((el) => el.tagName)) === 'TEXTAREA' ? 'Tab' : 'Enter');
+    }
+    await waitForUi5Idle(page);
+}`,
+	addTableRow: String.raw`
+async function addTableRow(page) {
+    await page.locator("button[id$='::StandardAction::Create']:visible").first().click();
+    await waitForUi5Idle(page);
+}`,
+	openObjectPage: String.raw`
+${pageActions.openObjectPage.toString()}`,
+	executeTableAction: String.raw`
+// execute_table_action, execute_object_action and execute_dialog_action of the runtime (src/runtime/page-actions.js)
+${pageActions.executeTableAction.toString()}`,
+	executeObjectAction: String.raw`
+${pageActions.executeObjectAction.toString()}`,
+	executeDialogAction: String.raw`
+${pageActions.executeDialogAction.toString()}`,
+	expectSuccess: String.raw`
+// Fails the test where the tool call reported a failure
+function expectSuccess(result) {
+    expect(result.success, result.reason).toBe(true);
+}`,
+	clickFirst: String.raw`
+async function clickFirst(page, selectors, what) {
+    for (const selector of selectors) {
+        const button = await page.$(selector);
+        if (button) {
+            await button.click();
+            await waitForUi5Idle(page);
+            return;
+        }
+    }
+    throw new Error('No ' + what + ' button found');
+}`,
+	expectScenario: String.raw`
+// Assert the UI ended up in the state the recording observed after an action
+async function expectScenario(page, scenario) {
+    const selectors = {
+        popup_dialog: '.sapMDialog.sapMDialogOpen',
+        error_messages: '.sapMMsgView, [id$="messagePopover-popover-cont"], .sapMMessageView, .sapMDialog.sapMMessageBox, .sapMDialogError, .sapMMessageDialog, .sapMMessageBoxError, [role="alertdialog"].sapMDialog, .sapMMessageStrip',
+        form_opened: '.sapUxAPObjectPageLayout, .sapFeCoreObjectPage, [id*="::Field-edit"], input[id*="-inner"]'
+    };
+    if (!selectors[scenario]) return;
+    await expect(page.locator(selectors[scenario]).first()).toBeVisible();
+}`
+};
+
+const SAVE_SELECTORS = [
+	'button[data-sap-ui*="Save"]',
+	'button[data-sap-ui*="Create"]',
+	'button[data-sap-ui*="save"]',
+	'button[data-sap-ui*="create"]',
+	'.sapMBtn:has-text("Save")',
+	'.sapMBtn:has-text("Create")',
+	'button:has-text("Save")',
+	'button:has-text("Create")'
+];
+
+const CANCEL_SELECTORS = [
+	'button[data-sap-ui*="StandardAction::Cancel"]',
+	'button[data-sap-ui*="Cancel"]',
+	'button[data-sap-ui*="cancel"]',
+	'.sapMBtn:has-text("Discard Draft")',
+	'button:has-text("Discard Draft")',
+	'.sapMBtn:has-text("Cancel")',
+	'button:has-text("Cancel")'
+];
+
+function translateStep(step, ctx) {
+	const a = step.arguments || {};
+	const use = (...names) => names.forEach((n) => ctx.helpers.add(n));
+	if (otherTable(step)) throw new Error(`Cannot export ${step.tool} on table "${otherTable(step)}": only the list report table is supported`);
+	// Rows recorded by match are looked up again when the spec runs
+	const rowArgument = (args) => (args.match ? `await findRow(page, ${JSON.stringify(args.match)})` : String(Number(args.rowIndex) || 0));
+	switch (step.tool) {
+		case 'start_app':
+			use('waitForUi5', 'waitForUi5Idle', 'startApp');
+			return ['await startApp(page);'];
+		case 'press_go':
+			use('pressGo', 'waitForUi5Idle');
+			return ['await pressGo(page);'];
+		case 'set_filter': {
+			const filter = findFilter(ctx.all, a.propertyKey);
+			if (!filter) throw new Error(`Filter not found in all.json: ${a.propertyKey}`);
+			use('setFilter');
+			return [`await setFilter(page, ${JSON.stringify({ propertyKey: filter.propertyKey, selectors: filter.selectors })}, ${lit(a.value)});`];
+		}
+		case 'select_row':
+			use('selectRow', 'primaryTable', 'revealGridRow', 'tableOp', 'waitForUi5Idle');
+			return [`await selectRow(page, ${rowArgument(a)});`];
+		case 'select_rows': {
+			use('selectRows', 'selectRow', 'primaryTable', 'revealGridRow', 'tableOp', 'waitForUi5Idle');
+			const rows = (a.rowIndices || []).map((rowIndex) => rowArgument({ rowIndex }))
+				.concat((a.matches || []).map((match) => rowArgument({ match })));
+			return [`await selectRows(page, [${rows.join(', ')}]);`];
+		}
+		case 'select_all': {
+			// extract-all records the responsive table's header checkbox; grid tables select through the control API
+			const css = ctx.all?.tables?.[0]?.selectors?.selectAllCss || "[id$='-innerTable-sa']";
+			use('selectAll', 'tableOp', 'waitForUi5Idle');
+			return [`await selectAll(page, ${lit(css)});`];
+		}
+		case 'clear_selection':
+			use('tableOp', 'waitForUi5Idle');
+			return ["await tableOp(page, { op: 'clearSelection' });", 'await waitForUi5Idle(page);'];
+		case 'open_object_page':
+			use('openObjectPage', 'primaryTable', 'revealGridRow', 'tableOp', 'waitForUi5Idle');
+			return [`await openObjectPage(page, ${rowArgument(a)});`];
+		case 'expand_tree_node':
+			use('expandTreeNode', 'revealGridRow', 'tableOp', 'waitForUi5Idle');
+			return [`await expandTreeNode(page, ${Number(a.rowIndex) || 0}, ${a.expand !== false});`];
+		case 'sort_table':
+			use('tableOp', 'waitForUi5Idle');
+			return [`await personalizeTable(page, 'sort', ${JSON.stringify(a.column ? [a.column] : [])}, ${a.descending === true});`];
+		case 'group_table':
+			use('tableOp', 'waitForUi5Idle');
+			return [`await personalizeTable(page, 'group', ${JSON.stringify(a.column ? [a.column] : [])});`];
+		case 'set_visible_columns':
+			use('tableOp', 'waitForUi5Idle');
+			return [`await personalizeTable(page, 'columns', ${JSON.stringify(a.columns || [])});`];
+		case 'set_table_cell':
+			use('setTableCell', 'revealGridRow', 'tableOp', 'waitForUi5Idle');
+			return [`await setTableCell(page, ${rowArgument(a)}, ${lit(a.column)}, ${JSON.stringify(a.value)});`];
+		case 'add_table_row':
+			use('addTableRow', 'waitForUi5Idle');
+			return ['await addTableRow(page);'];
+		case 'execute_action': {
+			const table = ctx.all?.tables?.[0];
+			const act = (table?.actions || []).find((x) => x.id === a.action || x.text === a.action);
+			if (!act) throw new Error(`Action not found in all.json: ${a.action}`);
+			return [`await page.click(${lit(act.selector)});`];
+		}
+		case 'execute_table_action':
+			use('executeTableAction', 'expectSuccess', 'waitForUi5Idle');
+			return [`expectSuccess(await executeTableAction(page, ${lit(a.action)}));`];
+		case 'execute_object_action':
+			use('executeObjectAction');
+			return [`await executeObjectAction(page, ${lit(a.action)});`];
+		case 'execute_dialog_action':
+			use('executeDialogAction', 'expectSuccess', 'waitForUi5Idle');
+			return [`expectSuccess(await executeDialogAction(page, ${lit(a.action)}));`];
+		case 'fill_form_field':
+			use('fillFormField');
+			return [`await fillFormField(page, ${lit(a.fieldName)}, ${lit(a.value)});`];
+		case 'submit_form':
+			use('clickFirst', 'waitForUi5Idle');
+			return [`await clickFirst(page, ${JSON.stringify(SAVE_SELECTORS)}, 'submit');`];
+		case 'discard_draft':
+			use('clickFirst', 'waitForUi5Idle');
+			return [`await clickFirst(page, ${JSON.stringify(CANCEL_SELECTORS)}, 'discard/cancel');`];
+		case 'click_by_selector':
+			use('clickBySelector', 'expectSuccess', 'waitForUi5Idle');
+			return [`expectSuccess(await clickBySelector(page, ${lit(a.selector)}));`, 'await waitForUi5Idle(page);'];
+		case 'type_by_selector':
+			use('typeBySelector', 'expectSuccess');
+			return [`expectSuccess(await typeBySelector(page, ${lit(a.selector)}, ${lit(a.value)}));`];
+		case 'wait_for_selector':
+			return [`await page.waitForSelector(${lit(a.selector)}, { timeout: ${Number(a.timeoutMs) || 5000} });`];
+		case 'wait_for_missing_selector':
+			return [`await page.waitForFunction((sel) => !document.querySelector(sel), ${lit(a.selector)}, { timeout: ${Number(a.timeoutMs) || 5000} });`];
+		default:
+			return commentOutStep(step) ? ['// no Playwright equivalent, not exported'] : null;
+	}
+}
+
+/**
+ * Turns a recording from record_flow_stop into a @playwright/test spec.
+ * all.json (from extract-all) is only needed for set_filter and execute_action steps; select_all uses its select-all selector when present.
+ * Viewport, test timeout and idle waits are those of fiori-mcp.config.json when the spec is exported.
+ */
+function exportPlaywrightSpec(flow, { all = null, title = 'recorded Fiori flow' } = {}) {
+	const steps = flowSteps(flow);
+	const url = flow.url || '';
+	const { browser, timeouts } = getConfig();
+	const ctx = { all, helpers: new Set() };
+	const body = [];
+
+	// A flow recorded after start_app still needs the app opened first
+	if (steps[0].tool !== 'start_app') {
+		ctx.helpers.add('waitForUi5').add('waitForUi5Idle').add('startApp');
+		body.push('await startApp(page);');
+	}
+
+	steps.forEach((step, index) => {
+		const label = stepComment(step, index);
+		if (step.outcome === 'error') {
+			body.push(`${label} - failed during recording, not exported`);
+			return;
+		}
+		const lines = translateStep(step, ctx);
+		if (!lines) return;
+		body.push(label, ...lines);
+		if (step.scenario && step.scenario !== 'action_completed') {
+			ctx.helpers.add('expectScenario');
+			body.push(`await expectScenario(page, ${lit(step.scenario)});`);
+		}
+	});
+
+	const helpers = Object.keys(HELPERS).filter((name) => ctx.helpers.has(name)).map((name) => HELPERS[name].trim());
+	return [
+		'// Exported from a recorded Fiori MCP flow',
+		flow.startedAt ? `// Recorded at: ${flow.startedAt}` : null,
+		'',
+		"const { test, expect } = require('@playwright/test');",
+		'',
+		`const APP_URL = process.env.URL || ${lit(url)};`,
+		`const TIMEOUTS = ${JSON.stringify({ startSettleMs: timeouts.startSettleMs, toolSettleMs: timeouts.toolSettleMs, idleQuietMs: timeouts.idleQuietMs })};`,
+		'',
+		...helpers.flatMap((h) => [h, '']),
+		`test.use({ viewport: ${JSON.stringify(browser.viewport)} });`,
+		'',
+		`test(${lit(title)}, async ({ page }) => {`,
+		`    test.setTimeout(${timeouts.defaultMs});`,
+		...body.map((line) => '    ' + line),
+		'});',
+		''
+	].filter((line) => line !== null).join('\n');
+}
+
+function main() {
+	const args = parseExportArgs();
+	if (!args.flow) {
+		console.error('Usage: node src/export-playwright.js --flow <recording.json> [--out tests/flow.spec.js] [--all all.json] [--title "..."]');
+		process.exit(1);
+	}
+	const flow = loadJson(path.resolve(process.cwd(), args.flow), 'flow file');
+	const allPath = path.resolve(process.cwd(), args.all);
+	const all = fs.existsSync(allPath) ? loadJson(allPath, 'all.json') : null;
+	const spec = exportPlaywrightSpec(flow, { all, title: args.title });
+	const outPath = path.resolve(process.cwd(), args.out || `${path.basename(args.flow, '.json')}.spec.js`);
+	fs.mkdirSync(path.dirname(outPath), { recursive: true });
+	fs.writeFileSync(outPath, spec, 'utf-8');
+	console.log(`Wrote Playwright spec to ${outPath}`);
+}
+
+if (require.main === module) {
+	try {
+		main();
+	} catch (e) {
+		console.error(e);
+		process.exit(1);
+	}
+}
+
+module.exports = { exportPlaywrightSpec };
@@ -0,0 +1,272 @@
+const fs = require('fs');
+const path = require('path');
+const { otherTable, loadJson, flowSteps, findFilter, commentOutStep, stepComment, lit, parseExportArgs } = require('./flow-utils');
+
+const norm = (s) => (s || '').toLowerCase().replace(/[-_\s:：]/g, '');
+
+// Control lookups against scan.json, so the spec addresses UI5 controls by id instead of CSS
+function scanLookups(scan) {
+	const controls = Array.isArray(scan?.controls) ? scan.controls : [];
+	const isButton = (c) => !!c.type && c.type.includes('Button');
+	const isFilterBarControl = (c) => (c.id || '').includes('FilterField') || (c.id || '').includes('FilterBar');
+
+	return {
+		filterInput(filter, propertyKey) {
+			const items = controls.filter((c) => c.roleHint === 'filterbar').flatMap((c) => c.filterBarInfo?.items || []);
+			const item = items.find((it) => filter && it.id === filter.filterFieldId) ||
+				items.find((it) => norm(it.propertyKey) === norm(propertyKey) || norm(it.labelText) === norm(propertyKey));
+			const inputId = item?.innerIds?.inputId;
+			// innerIds hold DOM ids of the inner <input>; the owning control drops the -inner suffix
+			if (inputId) return inputId.replace(/-inner$/, '');
+			return item?.id || filter?.filterFieldId || null;
+		},
+		goButton() {
+			return controls.find((c) => isButton(c) && (c.id || '').endsWith('-btnSearch'))?.id || null;
+		},
+		table() {
+			const tables = controls.filter((c) => c.roleHint === 'table' && c.type === 'sap.m.Table');
+			return (tables.find((c) => (c.id || '').endsWith('-innerTable')) || tables[0])?.id || null;
+		},
+		tableAction(tableId, action) {
+			const base = (tableId || '').replace(/-innerTable$/, '');
+			return controls.find((c) => isButton(c) && base && (c.id || '').startsWith(base) && norm(c.text) === norm(action))?.id || null;
+		},
+		formInput(fieldName) {
+			return controls.find((c) => c.roleHint === 'input' && !isFilterBarControl(c) && (norm(c.labelText) === norm(fieldName) || norm(c.localId) === norm(fieldName)))?.id || null;
+		}
+	};
+}
+
+// click_by_selector/type_by_selector usually carry '#<escaped id>'; those map back to a control id
+function idFromSelector(selector) {
+	const m = /^#((?:\\.|[^\s>+~,\[\]().:])+)$/.exec(String(selector || '').trim());
+	return m ? m[1].replace(/\\(.)/g, '$1') : null;
+}
+
+function byId(id) {
+	return `await control({ id: ${lit(id)} })`;
+}
+
+function buttonByText(text, inDialog) {
+	return `await control({ controlType: "sap.m.Button", properties: { text: ${lit(text)} }${inDialog ? ', searchOpenDialogs: true' : ''} })`;
+}
+
+/**
+ * Turns a recording from record_flow_stop into a wdi5 spec.
+ * scan.json (from scan.js) supplies the control ids; all.json maps filter keys to filter fields.
+ */
+function exportWdi5Spec(flow, { scan = null, all = null, title = 'recorded Fiori flow' } = {}) {
+	const steps = flowSteps(flow);
+	const find = scanLookups(scan);
+	const url = flow.url || '';
+	const hashIndex = url.indexOf('#');
+	const hash = hashIndex >= 0 ? url.slice(hashIndex) : '';
+	const baseUrl = hashIndex >= 0 ? url.slice(0, hashIndex) : url;
+	const body = [];
+	const needsTable = () => {
+		const id = find.table();
+		if (!id) throw new Error('No sap.m.Table found in scan.json for row steps');
+		return id;
+	};
+	let usesMatch = false;
+	const itemCall = (args) => {
+		if (!args.match) return `tableItem(${lit(needsTable())}, ${Number(args.rowIndex) || 0})`;
+		usesMatch = true;
+		return `tableItemMatching(${lit(needsTable())}, ${JSON.stringify(args.match)})`;
+	};
+
+	if (steps[0].tool !== 'start_app') {
+		body.push('await wdi5.goTo({ sHash: HASH });');
+	}
+
+	steps.forEach((step, index) => {
+		const a = step.arguments || {};
+		const label = stepComment(step, index);
+		if (step.outcome === 'error') {
+			body.push(`${label} - failed during recording, not exported`);
+			return;
+		}
+		if (otherTable(step)) {
+			body.push(`${label} - table "${otherTable(step)}" is not the list report table, not exported`);
+			return;
+		}
+
+		let lines;
+		switch (step.tool) {
+			case 'start_app':
+				lines = ['await wdi5.goTo({ sHash: HASH });'];
+				break;
+			case 'set_filter': {
+				const id = find.filterInput(findFilter(all, a.propertyKey), a.propertyKey);
+				if (!id) throw new Error(`Filter not found in scan.json: ${a.propertyKey}`);
+				lines = [`await (${byId(id)}).enterText(${lit(a.value)});`];
+				break;
+			}
+			case 'press_go': {
+				const id = find.goButton();
+				if (!id) throw new Error('Go button not found in scan.json');
+				lines = [`await (${byId(id)}).press();`];
+				break;
+			}
+			case 'select_row':
+				lines = [`await (await (await ${itemCall(a)}).getModeControl()).press();`];
+				break;
+			case 'select_rows': {
+				// A mode control press toggles, so rows that are already selected are left alone
+				const rows = (a.rowIndices || []).map((rowIndex) => ({ rowIndex })).concat((a.matches || []).map((match) => ({ match })));
+				lines = rows.flatMap((row) => [
+					'{',
+					`    const item = await ${itemCall(row)};`,
+					'    if (!(await item.getSelected())) await (await item.getModeControl()).press();',
+					'}'
+				]);
+				break;
+			}
+			case 'select_all':
+				lines = [
+					'{',
+					`    const selectAll = await control({ id: ${lit(needsTable() + '-sa')} });`,
+					'    if (!(await selectAll.getSelected())) await selectAll.press();',
+					'}'
+				];
+				break;
+			case 'clear_selection':
+				lines = [`await (${byId(needsTable())}).removeSelections(true, true);`];
+				break;
+			case 'open_object_page':
+				lines = [`await (await ${itemCall(a)}).press();`];
+				break;
+			case 'expand_tree_node':
+				body.push(`${label} - tree tables are not supported by the wdi5 export, not exported`);
+				return;
+			case 'sort_table':
+			case 'group_table':
+			case 'set_visible_columns':
+				body.push(`${label} - table personalization is not supported by the wdi5 export, not exported`);
+				return;
+			case 'set_table_cell':
+			case 'add_table_row':
+				body.push(`${label} - object page table editing is not supported by the wdi5 export, not exported`);
+				return;
+			case 'execute_action':
+			case 'execute_table_action': {
+				const id = find.tableAction(find.table(), a.action);
+				lines = [`await (${id ? byId(id) : buttonByText(a.action)}).press();`];
+				break;
+			}
+			case 'execute_object_action':
+				lines = [`await (${buttonByText(a.action)}).press();`];
+				break;
+			case 'execute_dialog_action':
+				lines = [`await (${buttonByText(a.action, true)}).press();`];
+				break;
+			case 'fill_form_field': {
+				const id = find.formInput(a.fieldName);
+				const target = id ? byId(id) : `await control({ controlType: "sap.m.Input", labelFor: { text: ${lit(a.fieldName)} } })`;
+				lines = [`await (${target}).enterText(${lit(a.value)});`];
+				break;
+			}
+			case 'submit_form':
+				lines = ['await (await control({ controlType: "sap.m.Button", id: /::StandardAction::(Save|Create)$/ })).press();'];
+				break;
+			case 'discard_draft':
+				lines = ['await (await control({ controlType: "sap.m.Button", id: /::StandardAction::Cancel$/ })).press();'];
+				break;
+			case 'click_by_selector':
+			case 'type_by_selector': {
+				const id = idFromSelector(a.selector);
+				if (!id) {
+					body.push(`${label} - not an id selector, not exported`);
+					return;
+				}
+				lines = [step.tool === 'click_by_selector' ? `await (${byId(id)}).press();` : `await (${byId(id)}).enterText(${lit(a.value)});`];
+				break;
+			}
+			case 'wait_for_selector':
+				lines = [`await $(${lit(a.selector)}).waitForExist({ timeout: ${Number(a.timeoutMs) || 5000} });`];
+				break;
+			case 'wait_for_missing_selector':
+				lines = [`await $(${lit(a.selector)}).waitForExist({ timeout: ${Number(a.timeoutMs) || 5000}, reverse: true });`];
+				break;
+			default:
+				if (commentOutStep(step)) body.push(`${label} - no wdi5 equivalent, not exported`);
+				return;
+		}
+
+		body.push(label, ...lines);
+		if (step.scenario === 'form_opened') {
+			body.push('expect(await (await control({ controlType: "sap.uxap.ObjectPageLayout" })).getVisible()).toBe(true);');
+		}
+		if (step.scenario === 'popup_dialog') {
+			body.push('expect(await (await control({ controlType: "sap.m.Dialog", searchOpenDialogs: true })).isOpen()).toBe(true);');
+		}
+	});
+
+	return [
+		'// Exported from a recorded Fiori MCP flow',
+		flow.startedAt ? `// Recorded at: ${flow.startedAt}` : null,
+		`// baseUrl in wdio.conf.js must point to: ${baseUrl}`,
+		'',
+		'const { wdi5 } = require("wdio-ui5-service");',
+		'',
+		`const HASH = ${lit(hash)};`,
+		'',
+		'async function control(selector) {',
+		'    return browser.asControl({ selector });',
+		'}',
+		'',
+		'async function tableItem(tableId, rowIndex) {',
+		'    const items = await (await control({ id: tableId })).getItems();',
+		'    return items[rowIndex];',
+		'}',
+		'',
+		...(usesMatch ? [
+			'// The one item whose bound entity has these property values (select_row/open_object_page match)',
+			'async function tableItemMatching(tableId, match) {',
+			'    const items = await (await control({ id: tableId })).getItems();',
+			'    const found = [];',
+			'    for (const item of items) {',
+			'        const entity = await (await item.getBindingContext()).getObject();',
+			'        if (Object.entries(match).every(([key, value]) => String(entity[key]) === String(value))) found.push(item);',
+			'    }',
+			'    if (found.length !== 1) throw new Error(found.length + " rows match " + JSON.stringify(match));',
+			'    return found[0];',
+			'}',
+			''
+		] : []),
+		`describe(${lit(title)}, () => {`,
+		`    it(${lit(title)}, async () => {`,
+		...body.map((line) => '        ' + line),
+		'    });',
+		'});',
+		''
+	].filter((line) => line !== null).join('\n');
+}
+
+function main() {
+	const args = parseExportArgs({ scan: 'scan.json' });
+	if (!args.flow) {
+		console.error('Usage: node src/export-wdi5.js --flow <recording.json> [--out webapp/test/e2e/flow.test.js] [--scan scan.json] [--all all.json] [--title "..."]');
+		process.exit(1);
+	}
+	const flow = loadJson(path.resolve(process.cwd(), args.flow), 'flow file');
+	const scan = loadJson(path.resolve(process.cwd(), args.scan), 'scan file');
+	const allPath = path.resolve(process.cwd(), args.all);
+	const all = fs.existsSync(allPath) ? loadJson(allPath, 'all.json') : null;
+	const spec = exportWdi5Spec(flow, { scan, all, title: args.title });
+	const outPath = path.resolve(process.cwd(), args.out || `${path.basename(args.flow, '.json')}.test.js`);
+	fs.mkdirSync(path.dirname(outPath), { recursive: true });
+	fs.writeFileSync(outPath, spec, 'utf-8');
+	console.log(`Wrote wdi5 spec to ${outPath}`);
+}
+
+if (require.main === module) {
+	try {
+		main();
+	} catch (e) {
+		console.error(e);
+		process.exit(1);
+	}
+}
+
+module.exports = { exportWdi5Spec };
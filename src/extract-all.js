@@ -1,6 +1,7 @@
 const fs = require('fs');
 const path = require('path');
 const { spawnSync } = require('child_process');
+const { getConfig } = require('./runtime/config');
 
 function cssEscape(id) {
 	return id?.replace(/([ #.;?+*~\':"!^$\[\]()=>|\/@])/g, '\\$1');
@@ -8,7 +9,15 @@ function cssEscape(id) {
 
 function parseArgs() {
 	const args = process.argv.slice(2);
-	const out = { url: null, out: 'all.json', timeout: 60000, headed: false, includeShell: false, scanOut: 'scan.json' };
+	const config = getConfig();
+	const out = {
+		url: config.url,
+		out: config.output.all,
+		timeout: config.timeouts.scanMs,
+		headed: config.browser.headless === false,
+		includeShell: false,
+		scanOut: config.output.scan
+	};
 	for (let i = 0; i < args.length; i += 1) {
 		const a = args[i];
 		if (a === '--url' || a === '-u') out.url = args[i + 1];
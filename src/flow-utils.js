@@ -0,0 +1,87 @@
+const fs = require('fs');
+const { findTool } = require('./runtime/tool-registry');
+
+// Tools that only read state or steer the recorder; exporters have nothing to reproduce for them
+const READ_ONLY_TOOLS = new Set([
+	'get_table_rows', 'get_object_actions', 'get_object_fields', 'get_form_fields', 'get_filter_fields',
+	'get_table_actions', 'get_clickable_elements', 'highlight_element', 'get_messages',
+	'list_tables', 'scroll_table', 'get_selection', 'get_table_cell', 'record_flow_start', 'record_flow_stop', 'replay_flow', 'close_app',
+	'list_apps'
+]);
+
+// Steps whose table argument picks another table than the list report's; the exports only know that one
+const TABLE_ARGUMENT_TOOLS = new Set(['select_row', 'select_rows', 'select_all', 'clear_selection', 'open_object_page', 'execute_table_action', 'sort_table', 'group_table', 'set_visible_columns', 'set_table_cell', 'add_table_row']);
+
+function otherTable(step) {
+	return TABLE_ARGUMENT_TOOLS.has(step.tool) && step.arguments && step.arguments.table ? step.arguments.table : null;
+}
+
+function loadJson(filePath, what) {
+	if (!fs.existsSync(filePath)) {
+		throw new Error(`${what} not found at ${filePath}`);
+	}
+	return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+}
+
+// Per-action tools (action_*) record the button they pressed; exporters treat them as the generic action tools
+function genericStep(step) {
+	if (!step.action || !String(step.tool).startsWith('action_')) return step;
+	const tool = step.action.target === 'object' ? 'execute_object_action' : 'execute_table_action';
+	return { ...step, tool, arguments: { ...step.arguments, action: step.action.label } };
+}
+
+// Accepts the record_flow_stop payload or a bare step array
+function flowSteps(flow) {
+	const steps = Array.isArray(flow) ? flow : flow?.steps;
+	if (!Array.isArray(steps) || steps.length === 0) {
+		throw new Error('Flow has no steps. Pass the JSON returned by record_flow_stop.');
+	}
+	return steps.map(genericStep);
+}
+
+// Same lookup the runtime set_filter uses against all.json
+function findFilter(all, propertyKey) {
+	const normalize = (str) => (str || '').toLowerCase().replace(/[-_\s]/g, '');
+	const searchTerm = normalize(propertyKey);
+	return (all?.filters || []).find((f) =>
+		normalize(f.propertyKey) === searchTerm ||
+		normalize(f.label) === searchTerm ||
+		normalize(f.propertyKey).includes(searchTerm) ||
+		normalize(f.label).includes(searchTerm)
+	);
+}
+
+// For the steps an exporter has no translation for: read-only tools are dropped (false), a server tool the target
+// framework cannot express is left as a "not exported" comment (true), a tool no server has is refused
+function commentOutStep(step) {
+	if (READ_ONLY_TOOLS.has(step.tool)) return false;
+	if (!findTool(step.tool)) throw new Error(`Cannot export tool: ${step.tool}`);
+	return true;
+}
+
+// JS literal for generated test code
+function lit(value) {
+	return JSON.stringify(value === undefined ? '' : value);
+}
+
+function stepComment(step, index) {
+	const args = step.arguments && Object.keys(step.arguments).length ? ' ' + JSON.stringify(step.arguments) : '';
+	return `// #${index} ${step.tool}${args}`;
+}
+
+function parseExportArgs(defaults = {}) {
+	const args = process.argv.slice(2);
+	const out = { flow: null, out: null, all: 'all.json', title: undefined, ...defaults };
+	for (let i = 0; i < args.length; i += 1) {
+		const a = args[i];
+		if (a === '--flow' || a === '-f') out.flow = args[i + 1];
+		if (a === '--out' || a === '-o') out.out = args[i + 1];
+		if (a === '--all') out.all = args[i + 1];
+		if (a === '--scan') out.scan = args[i + 1];
+		if (a === '--title') out.title = args[i + 1];
+		if (a === '--form-section') out.formSection = args[i + 1];
+	}
+	return out;
+}
+
+module.exports = { READ_ONLY_TOOLS, otherTable, loadJson, flowSteps, findFilter, commentOutStep, lit, stepComment, parseExportArgs };
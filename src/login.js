@@ -0,0 +1,48 @@
+const path = require('path');
+const { chromium } = require('playwright');
+const { storageStatePath, saveStorageState, clientCertificateOptions } = require('./runtime/auth');
+const { getConfig } = require('./runtime/config');
+
+function parseArgs() {
+	const args = process.argv.slice(2);
+	const out = { url: getConfig().url, state: null, timeout: 600000 };
+	for (let i = 0; i < args.length; i += 1) {
+		const a = args[i];
+		if (a === '--url' || a === '-u') out.url = args[i + 1];
+		if (a === '--state' || a === '-s') out.state = args[i + 1];
+		if (a === '--timeout') out.timeout = Number(args[i + 1]);
+	}
+	return out;
+}
+
+async function main() {
+	const args = parseArgs();
+	if (!args.url) {
+		console.error('Usage: node src/login.js --url <fiori-app-url> [--state .auth/storage-state.json] [--timeout 600000]');
+		process.exit(1);
+	}
+	const statePath = args.state ? path.resolve(process.cwd(), args.state) : storageStatePath();
+
+	// Headed on purpose: the user completes whatever the IdP asks for (password, MFA, certificate prompt)
+	const browser = await chromium.launch({ headless: false });
+	try {
+		const { viewport, locale } = getConfig().browser;
+		const context = await browser.newContext({ viewport, ...(locale ? { locale } : {}), ...clientCertificateOptions() });
+		const page = await context.newPage();
+		await page.goto(args.url, { waitUntil: 'domcontentloaded', timeout: args.timeout });
+		console.log('Complete the login in the browser window; waiting for the app to load...');
+		await page.waitForFunction(() => {
+			const w = window;
+			return !!(w.sap && w.sap.ui?.getCore?.() && w.sap.ui.getCore().isInitialized?.());
+		}, null, { timeout: args.timeout });
+		await saveStorageState(context, statePath);
+		console.log(`Wrote login session to ${statePath}`);
+	} finally {
+		await browser.close();
+	}
+}
+
+main().catch((e) => {
+	console.error(e);
+	process.exit(1);
+});
@@ -0,0 +1,39 @@
+const { FioriAppServer, FioriAppHTTPServer, loadAppCatalog } = require('./runtime');
+
+function parseArgs() {
+	const args = process.argv.slice(2);
+	const out = { apps: [], http: false, port: null, app: null };
+	for (let i = 0; i < args.length; i += 1) {
+		const a = args[i];
+		if (a === '--apps' || a === '-a') out.apps.push(...String(args[i + 1]).split(','));
+		if (a === '--default' || a === '-d') out.app = args[i + 1];
+		if (a === '--http') out.http = true;
+		if (a === '--port' || a === '-p') out.port = Number(args[i + 1]);
+	}
+	return out;
+}
+
+async function main() {
+	const args = parseArgs();
+	if (!args.apps.length) {
+		console.error('Usage: node src/multi-app-server.js --apps <dir|app.json>[,<app.json>...] [--default <app id>] [--http] [--port 3000]');
+		process.exit(1);
+	}
+	const apps = loadAppCatalog(args.apps);
+	const ids = Object.keys(apps);
+	const defaultApp = args.app || ids[0];
+	if (!apps[defaultApp]) throw new Error(`Unknown default app: ${defaultApp}. Available apps: ${ids.join(', ')}`);
+
+	// stdout carries the stdio protocol, so the app list goes to stderr
+	console.error(`Hosting ${ids.length} apps: ${ids.join(', ')} (default ${defaultApp})`);
+	if (args.http) {
+		await new FioriAppHTTPServer(apps[defaultApp], { apps }).start(args.port || undefined);
+	} else {
+		await new FioriAppServer(apps[defaultApp], { apps }).run();
+	}
+}
+
+main().catch((e) => {
+	console.error(e);
+	process.exit(1);
+});
@@ -1,9 +1,11 @@
 const fs = require('fs');
 const path = require('path');
 const { chromium } = require('playwright');
+const { getConfig } = require('./runtime/config');
 
+const config = getConfig();
 const STATE_PATH = path.resolve(process.cwd(), '.pw-state');
-const ALL_JSON = path.resolve(process.cwd(), 'all.json');
+const ALL_JSON = path.resolve(process.cwd(), config.output.all);
 
 function loadAll() {
 	if (!fs.existsSync(ALL_JSON)) throw new Error('all.json not found. Run extract-all first.');
@@ -12,17 +14,21 @@ function loadAll() {
 
 function parseArgs() {
 	const a = process.argv.slice(2);
-	return { cmd: a[0], url: process.env.URL || null, args: a.slice(1) };
+	return { cmd: a[0], url: config.url, args: a.slice(1) };
 }
 
-async function getBrowser(headed = true) {
-	const browser = await chromium.launchPersistentContext(STATE_PATH, { headless: !headed });
+async function getBrowser(headed = config.browser.headless !== true) {
+	const browser = await chromium.launchPersistentContext(STATE_PATH, {
+		headless: !headed,
+		viewport: config.browser.viewport,
+		...(config.browser.locale ? { locale: config.browser.locale } : {})
+	});
 	const pages = browser.pages();
 	const page = pages.length ? pages[0] : await browser.newPage();
 	return { browser, page };
 }
 
-async function start(url, timeout = 600000, headed = true) {
+async function start(url, timeout = config.timeouts.defaultMs, headed = config.browser.headless !== true) {
 	if (!url) throw new Error('Missing URL');
 	const { browser, page } = await getBrowser(headed);
 	page.setDefaultTimeout(timeout);
@@ -143,11 +149,11 @@ async function main() {
 		process.exit(1);
 	}
 	if (cmd === 'start') {
-		await start(url, 600000, true);
+		await start(url);
 		console.log('started');
 		return;
 	}
-	const { browser, page } = await getBrowser(true);
+	const { browser, page } = await getBrowser();
 	try {
 		if (cmd === 'pressGo' || cmd === 'go') {
 			await go(page);
@@ -0,0 +1,88 @@
+const fs = require('fs');
+const path = require('path');
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { StdioClientTransport, getDefaultEnvironment } = require('@modelcontextprotocol/sdk/client/stdio.js');
+
+// A replay restarts the app and waits between steps; far beyond the SDK's default 60s request timeout
+const REPLAY_TIMEOUT_MS = 60 * 60 * 1000;
+
+function parseArgs() {
+	const args = process.argv.slice(2);
+	const out = { flow: null, server: 'generated-fiori-mcp-server.js', out: null, stopOnFailure: false, headed: false };
+	for (let i = 0; i < args.length; i += 1) {
+		const a = args[i];
+		if (a === '--flow' || a === '-f') out.flow = args[i + 1];
+		if (a === '--server' || a === '-s') out.server = args[i + 1];
+		if (a === '--out' || a === '-o') out.out = args[i + 1];
+		if (a === '--stop-on-failure') out.stopOnFailure = true;
+		if (a === '--headed') out.headed = true;
+	}
+	return out;
+}
+
+function loadFlow(flowPath) {
+	if (!fs.existsSync(flowPath)) {
+		throw new Error(`flow file not found at ${flowPath}`);
+	}
+	return JSON.parse(fs.readFileSync(flowPath, 'utf-8'));
+}
+
+// The replay tool answers with a status line followed by the JSON report
+function parseReport(result) {
+	const items = Array.isArray(result?.content) ? result.content : [];
+	for (const item of items) {
+		if (item.type !== 'text' || !item.text || item.text.charAt(0) !== '{') continue;
+		try { return JSON.parse(item.text); } catch (e) { /* not the report */ }
+	}
+	const text = items.map((i) => i.text).filter(Boolean).join('\n');
+	throw new Error(text || 'replay_flow returned no report');
+}
+
+async function main() {
+	const args = parseArgs();
+	if (!args.flow) {
+		console.error('Usage: node src/replay-flow.js --flow <recording.json> [--server generated-fiori-mcp-server.js] [--out report.json] [--stop-on-failure] [--headed]');
+		process.exit(1);
+	}
+
+	const flow = loadFlow(path.resolve(process.cwd(), args.flow));
+	const transport = new StdioClientTransport({
+		command: process.execPath,
+		args: [path.resolve(process.cwd(), args.server)],
+		env: { ...getDefaultEnvironment(), ...process.env, HEADLESS: args.headed ? '0' : (process.env.HEADLESS || '1') }
+	});
+	const client = new Client({ name: 'fiori-flow-replay', version: '1.0.0' });
+
+	let report;
+	try {
+		await client.connect(transport);
+		const result = await client.callTool(
+			{ name: 'replay_flow', arguments: { flow, stopOnFailure: args.stopOnFailure } },
+			undefined,
+			{ timeout: REPLAY_TIMEOUT_MS }
+		);
+		report = parseReport(result);
+	} finally {
+		await client.close();
+	}
+
+	report.steps.forEach((step) => {
+		const timing = step.durationMs != null ? ` ${step.durationMs}ms` : '';
+		console.log(`${step.status.toUpperCase().padEnd(7)} #${step.index} ${step.tool}${timing}`);
+		(step.divergences || []).forEach((d) => console.log(`        ${d}`));
+	});
+	console.log(`\n${report.passed} passed, ${report.failed} failed, ${report.skipped} skipped, ${report.notRun} not run (${report.durationMs}ms)`);
+
+	if (args.out) {
+		const outPath = path.resolve(process.cwd(), args.out);
+		fs.writeFileSync(outPath, JSON.stringify(report, null, 2), 'utf-8');
+		console.log(`Wrote replay report to ${outPath}`);
+	}
+
+	process.exit(report.success ? 0 : 1);
+}
+
+main().catch((e) => {
+	console.error(e);
+	process.exit(1);
+});
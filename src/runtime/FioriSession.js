@@ -0,0 +1,2074 @@
+const fs = require('fs');
+const path = require('path');
+const { chromium } = require('playwright');
+const { buildInputSchemas, buildActionTools, applyInputSchemas, actionToolDefinitions } = require('./app-tools');
+const { findTool, toolDefinitions } = require('./tool-registry');
+const { LOGIN_PAGE_SELECTOR, authContextOptions, loadCredentials, scriptedLogin, saveStorageState, loginRequiredMessage } = require('./auth');
+const { getConfig } = require('./config');
+const { trackODataRequests, waitForUi5Idle } = require('./ui5-idle');
+const { tableOp } = require('./ui5-tables');
+const pageActions = require('./page-actions');
+
+// Tool arguments that name a button to press, checked against safety.blockedActions
+const ACTION_ARGUMENT_TOOLS = new Set(['execute_action', 'execute_table_action', 'execute_object_action', 'execute_dialog_action']);
+
+// Tools that could not do their job without throwing (element or filter not found, timeout) return MCP's isError
+function isToolFailure(result) {
+    return !!(result && result.isError);
+}
+
+function toolFailure(result) {
+    const item = ((result && result.content) || []).find((c) => c.type === 'text' && c.text);
+    return item ? item.text.split('\n')[0] : 'Tool reported an error';
+}
+
+// Rows get_table_rows reads from a sap.ui.table.Table; further rows take scrolling and extra requests
+const GRID_ROW_LIMIT = 100;
+
+function launchBrowser() {
+    return chromium.launch({ 
+        headless: getConfig().browser.headless === true,
+        args: ['--no-sandbox', '--disable-setuid-sandbox']
+    });
+}
+
+/**
+ * Browser-side runtime shared by the generated stdio and HTTP servers.
+ * One session drives one browser page of the app described by appMetadata.
+ * Pass options.getBrowser to run in a browser shared with other sessions; the session then only owns its context.
+ * Pass options.apps ({ id: appMetadata }) to host several apps; start_app's app argument switches between them.
+ */
+class FioriSession {
+    constructor(appMetadata, options = {}) {
+        this.options = options;
+        this.apps = options.apps && Object.keys(options.apps).length ? options.apps : null;
+        this.browser = null;
+        this.context = null;
+        this.page = null;
+        // Called when the tool list changes with the selected app; the MCP server turns it into list_changed
+        this.onToolsChanged = null;
+        this.flowRecorder = { isRecording: false, steps: [] };
+        this.useApp(appMetadata, this.apps ? Object.keys(this.apps).find((id) => this.apps[id] === appMetadata) : null);
+    }
+
+    useApp(appMetadata, appId) {
+        this.appMetadata = appMetadata;
+        this.appId = appId || null;
+        this.inputSchemas = buildInputSchemas(appMetadata);
+        this.actionTools = buildActionTools(appMetadata);
+    }
+
+    selectApp(appId) {
+        if (!this.apps) throw new Error('This server hosts a single app; start_app takes no app argument');
+        const appMetadata = this.apps[appId];
+        if (!appMetadata) throw new Error(`Unknown app: ${appId}. Available apps: ${Object.keys(this.apps).join(', ')}`);
+        if (appId === this.appId) return false;
+        this.useApp(appMetadata, appId);
+        if (this.onToolsChanged) this.onToolsChanged();
+        return true;
+    }
+
+    async ensureBrowserStarted() {
+        const isClosed = (obj) => {
+            try { return !obj; } catch { return true; }
+        };
+        if (!this.browser || isClosed(this.browser) || this.browser.isConnected && !this.browser.isConnected()) {
+            this.browser = this.options.getBrowser ? await this.options.getBrowser() : await launchBrowser();
+            this.context = null;
+            this.page = null;
+        }
+        if (!this.context || isClosed(this.context)) {
+            const { browser } = getConfig();
+            this.context = await this.browser.newContext({
+                viewport: browser.viewport,
+                ...(browser.locale ? { locale: browser.locale } : {}),
+                ...authContextOptions()
+            });
+        }
+        if (!this.page || isClosed(this.page)) {
+            const { timeouts } = getConfig();
+            this.page = await this.context.newPage();
+            trackODataRequests(this.page);
+            this.page.setDefaultTimeout(timeouts.defaultMs);
+            this.page.setDefaultNavigationTimeout(timeouts.navigationMs);
+        }
+    }
+
+    // Guarded dispatch for the servers: checks the page, records the step and lets the UI settle
+    async callTool(name, args = {}) {
+        const startedAt = Date.now();
+
+        try {
+            this.checkSafety(name, args || {});
+            // Guard: ensure page is initialized for all tools except start_app, replay and the recorder controls
+            const needsPage = findTool(name)?.requiresPage !== false;
+            if (needsPage && (!this.page || this.page.isClosed?.())) {
+                throw new Error("Browser page is not initialized. Call 'start_app' first.");
+            }
+            if (getConfig().debug) console.error(`[fiori-mcp] ${name} ${JSON.stringify(args || {})}`);
+            const result = await this.handleToolCall(name, args);
+            this.recordStep(name, args, startedAt, result, null);
+            // Post-tool wait: start_app settles inside startApp; the others until UI5 is idle again
+            if (name !== 'start_app' && this.page) {
+                await this.waitForIdle();
+            }
+            return result;
+        } catch (error) {
+            if (getConfig().debug) console.error(`[fiori-mcp] ${name} failed: ${error.message}`);
+            this.recordStep(name, args, startedAt, null, error);
+            throw error;
+        }
+    }
+
+    // Until UI5 is idle (see ui5-idle.js), at most timeoutMs; a busy app costs time, it does not fail the tool
+    async waitForIdle(timeoutMs = getConfig().timeouts.toolSettleMs) {
+        if (!this.page) return { idle: false, reasons: ['no page'] };
+        const result = await waitForUi5Idle(this.page, { timeoutMs });
+        if (!result.idle && getConfig().debug) {
+            console.error(`[fiori-mcp] UI5 still busy after ${result.waitedMs} ms: ${result.reasons.join(', ')}`);
+        }
+        return result;
+    }
+
+    // safety options of fiori-mcp.config.json, checked for direct calls and replayed steps alike
+    checkSafety(name, args = {}) {
+        const { safety } = getConfig();
+        const tool = findTool(name);
+        const actionTool = this.actionTools.find((t) => t.name === name);
+        if (safety.readOnly && (actionTool || tool?.mutating)) {
+            throw new Error(`${name} changes data and is blocked by safety.readOnly`);
+        }
+        const label = actionTool ? actionTool.label : (ACTION_ARGUMENT_TOOLS.has(name) ? args.action : null);
+        if (label) this.checkBlockedAction(label);
+    }
+
+    // Tools that press an action button themselves (add_table_row's Create) check its label here before clicking
+    checkBlockedAction(label) {
+        const blocked = getConfig().safety.blockedActions.find((a) => a.toLowerCase() === String(label).trim().toLowerCase());
+        if (blocked) {
+            throw new Error(`Action "${label}" is blocked by safety.blockedActions`);
+        }
+    }
+
+    hasTool(name) {
+        return !!this.findSessionTool(name) || this.actionTools.some((t) => t.name === name);
+    }
+
+    // Registry tool by name, leaving out the multi-app tools on single-app sessions
+    findSessionTool(name) {
+        const tool = findTool(name);
+        return tool && (!tool.multiApp || this.apps) ? tool : null;
+    }
+
+    // Generic tools narrowed to this app, followed by the per-action tools
+    listTools() {
+        const schemas = this.apps
+            ? { ...this.inputSchemas, start_app: { app: { type: 'string', enum: Object.keys(this.apps), description: 'App to start (see list_apps); defaults to the current app ' + this.appId } } }
+            : this.inputSchemas;
+        // Read-only sessions do not offer what they would refuse
+        const readOnly = getConfig().safety.readOnly;
+        const tools = toolDefinitions().filter((tool) => this.findSessionTool(tool.name) && !(readOnly && findTool(tool.name).mutating));
+        return applyInputSchemas(tools, schemas).concat(readOnly ? [] : actionToolDefinitions(this.actionTools));
+    }
+
+    async handleToolCall(name, args = {}) {
+        const tool = this.findSessionTool(name);
+        if (tool) return await tool.run(this, args || {});
+        const actionTool = this.actionTools.find((t) => t.name === name);
+        if (actionTool) return await this.runActionTool(actionTool, args || {});
+        throw new Error('Unknown tool: ' + name);
+    }
+
+    async runActionTool(tool, args = {}) {
+        const result = tool.target === 'table'
+            ? await this.executeTableAction(tool.label)
+            : await this.executeObjectAction(tool.label);
+        const values = tool.parameters.filter((p) => args[p.name] !== undefined && args[p.name] !== null);
+        if (values.length === 0 || result.isError) return result;
+
+        // Fill the parameter dialog by label; confirming stays with execute_dialog_action
+        await this.waitForIdle();
+        const filled = await this.page.evaluate((entries) => {
+            const dialog = document.querySelector('.sapMDialog.sapMDialogOpen');
+            if (!dialog) return null;
+            const norm = (str) => (str || '').replace(/\u00A0/g, ' ').replace(/[:：*]/g, '').replace(/\s+/g, ' ').trim().toLowerCase();
+            const inputs = Array.from(dialog.querySelectorAll('.sapMInputBase input, textarea'));
+            return entries.map(({ name, label, value }) => {
+                const input = inputs.find((el) => {
+                    const labelEl = dialog.querySelector('label[for="' + el.id + '"]') || el.closest('.sapUiFormElement')?.querySelector('.sapMLabel');
+                    const text = norm(labelEl?.textContent);
+                    return text && (text === norm(label) || text === norm(name));
+                });
+                if (!input) return { name, filled: false };
+                input.focus();
+                input.value = value;
+                input.dispatchEvent(new Event('input', { bubbles: true }));
+                input.dispatchEvent(new Event('change', { bubbles: true }));
+                return { name, filled: true };
+            });
+        }, values.map((p) => ({ name: p.name, label: p.label, value: String(args[p.name]) })));
+
+        return {
+            content: [
+                ...result.content,
+                filled
+                    ? { type: 'text', text: JSON.stringify({ action: tool.label, parameters: filled }, null, 2) }
+                    : { type: 'text', text: 'No dialog opened, parameters were not filled' }
+            ],
+            ...(filled ? {} : { isError: true })
+        };
+    }
+
+    extractScenario(result) {
+        // Action tools report their outcome as a JSON text item carrying a 'scenario' field
+        for (const item of (result && result.content) || []) {
+            if (item.type !== 'text' || !item.text || item.text.charAt(0) !== '{') continue;
+            try {
+                const payload = JSON.parse(item.text);
+                if (payload && payload.scenario) return payload.scenario;
+            } catch (e) { /* not a JSON payload */ }
+        }
+        return null;
+    }
+
+    recordStep(name, args, startedAt, result, error) {
+        // Recorder controls are not part of the flow itself
+        if (!this.flowRecorder.isRecording || name === 'record_flow_start' || name === 'record_flow_stop') return;
+
+        let urlHash = '';
+        try {
+            if (this.page && !this.page.isClosed?.()) urlHash = new URL(this.page.url()).hash;
+        } catch (e) { /* page not navigated yet */ }
+
+        // Per-action tools also note the button they press, so exporters can map them back to the generic tools
+        const actionTool = this.actionTools.find((t) => t.name === name);
+        const failed = !error && isToolFailure(result);
+        this.flowRecorder.steps.push({
+            tool: name,
+            action: actionTool ? { target: actionTool.target, label: actionTool.label } : undefined,
+            arguments: args || {},
+            timestamp: new Date(startedAt).toISOString(),
+            durationMs: Date.now() - startedAt,
+            outcome: error || failed ? 'error' : 'success',
+            scenario: this.extractScenario(result),
+            error: error ? error.message : (failed ? toolFailure(result) : undefined),
+            urlHash
+        });
+    }
+
+    async startApp(appId) {
+        if (appId) this.selectApp(appId);
+        await this.ensureBrowserStarted();
+        try {
+        await this.page.goto(this.appMetadata.url, { waitUntil: 'domcontentloaded' });
+        } catch (e) {
+            // Recover from closed targets by recreating context/page and retry once
+            await this.closeApp();
+            await this.ensureBrowserStarted();
+            await this.page.goto(this.appMetadata.url, { waitUntil: 'domcontentloaded' });
+        }
+        if (await this.waitForUi5OrLogin() === 'login') {
+            await this.loginWithCredentials();
+        }
+        // Let the initial OData requests, rendering and busy indicators finish
+        await this.waitForIdle(getConfig().timeouts.startSettleMs);
+        
+        return {
+            content: [
+                { type: 'text', text: this.appId ? `Fiori application ${this.appId} started successfully` : 'Fiori application started successfully' }
+            ]
+        };
+    }
+
+    async listApps() {
+        const apps = Object.entries(this.apps || {}).map(([id, app]) => ({
+            id,
+            url: app.url,
+            current: id === this.appId,
+            filters: (app.filters || []).length,
+            tables: (app.tables || []).length,
+            entitySets: Object.keys(app.odata?.entitySets || {})
+        }));
+        return {
+            content: [
+                { type: 'text', text: JSON.stringify({ apps }, null, 2) }
+            ]
+        };
+    }
+
+    // Resolves to 'ui5' once the app is up, or 'login' when the IdP shows a logon page instead
+    async waitForUi5OrLogin(timeout) {
+        const handle = await this.page.waitForFunction((loginSelector) => {
+            const w = window;
+            if (w.sap && w.sap.ui?.getCore?.() && w.sap.ui.getCore().isInitialized?.()) return 'ui5';
+            if (document.querySelector(loginSelector)) return 'login';
+            return false;
+        }, LOGIN_PAGE_SELECTOR, { timeout });
+        return await handle.jsonValue();
+    }
+
+    // Scripted login with LOGIN_USER/LOGIN_PASSWORD or the credentials file; the session is saved like login.js does
+    async loginWithCredentials() {
+        const credentials = loadCredentials();
+        if (!credentials) throw new Error(loginRequiredMessage());
+        const timeout = getConfig().timeouts.loginMs;
+        await scriptedLogin(this.page, credentials, { timeout });
+        let landed;
+        try {
+            landed = await this.waitForUi5OrLogin(timeout);
+        } catch (e) {
+            throw new Error(`Login step "verify" failed: the app did not load within ${timeout} ms after submitting`);
+        }
+        if (landed === 'login') {
+            throw new Error('Login step "verify" failed: still on the logon page after submitting, check the credentials');
+        }
+        try {
+            await saveStorageState(this.context);
+        } catch (e) {
+            // The login itself worked; without the saved session the next context just logs in again
+            if (getConfig().debug) console.error(`[fiori-mcp] Could not save the login session: ${e.message}`);
+        }
+    }
+
+    async pressGo() {
+        const { noData } = await pageActions.pressGo(this.page);
+        if (noData) {
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: JSON.stringify({ rows: [], rowCount: 0, message: "No data found" }, null, 2)
+                    }
+                ]
+            };
+        }
+        // Also return current table rows
+        const rows = await this.getTableRows();
+        return {
+            content: [
+                { type: 'text', text: 'Go button pressed, table data refreshed' },
+                ...rows.content
+            ]
+        };
+    }
+
+    async isGoAvailable() {
+        const available = await this.page.evaluate(() => {
+            const goButtonSelectors = [
+                'button[id$="-btnSearch"]',
+                'button[id*="btnSearch"]',
+                'button[id$="-search"]',
+                'button[id*="search"]',
+                'button[id$="-go"]',
+                'button[id*="go"]',
+                'button:has-text("Go")',
+                '.sapMBtn:has-text("Go")'
+            ];
+            for (const sel of goButtonSelectors) {
+                const el = document.querySelector(sel);
+                if (el && !el.hasAttribute('disabled') && !el.classList.contains('sapMBtnDisabled')) {
+                    return true;
+                }
+            }
+            return false;
+        });
+        return {
+            content: [{ type: 'text', text: JSON.stringify({ goAvailable: available }, null, 2) }]
+        };
+    }
+
+    // Reads rows from..from+count of a grid table, scrolling to the rows whose data is not loaded yet
+    async readGridRows(tableId, from, count, { raw = false } = {}) {
+        const first = await tableOp(this.page, { op: 'read', tableId, from, count, raw });
+        const rows = new Map(first.rows.map((row) => [row['@index'], row]));
+        let missing = first.missing;
+        while (missing.length) {
+            const start = missing[0];
+            await tableOp(this.page, { op: 'scroll', tableId, rowIndex: start });
+            await this.waitForIdle();
+            const next = await tableOp(this.page, { op: 'read', tableId, from: start, count: from + count - start, raw });
+            next.rows.forEach((row) => rows.set(row['@index'], row));
+            if (next.missing[0] === start) break;
+            missing = next.missing;
+        }
+        if (first.missing.length) {
+            await tableOp(this.page, { op: 'scroll', tableId, rowIndex: first.firstVisibleRow });
+            await this.waitForIdle();
+        }
+        const sorted = [...rows.values()].sort((a, b) => a['@index'] - b['@index']);
+        return { tableId: first.tableId, type: first.type, rows: sorted, rowCount: sorted.length, totalCount: first.totalCount };
+    }
+
+    // Scrolls a grid table row into the rendered range and waits for its data
+    async revealGridRow(rowIndex, tableId) {
+        return pageActions.revealGridRow(this.page, rowIndex, tableId);
+    }
+
+    /**
+     * raw reads the binding contexts instead of the cell text: typed values, hidden properties and the entity keys.
+     * offset/maxRows/all page through the rows, loading more through the growing trigger or by scrolling;
+     * without them a responsive table returns what is loaded and a grid table its first GRID_ROW_LIMIT rows.
+     */
+    async getTableRows({ raw = false, offset = 0, maxRows, all = false, table: wanted } = {}) {
+        const start = Math.max(0, Math.floor(Number(offset) || 0));
+        const limit = all ? Infinity : (maxRows === undefined ? null : Math.max(0, Math.floor(Number(maxRows) || 0)));
+        const tables = wanted ? [await this.resolveTable(wanted)] : (await tableOp(this.page, { op: 'list' })).tables;
+        const responsive = new Map();
+        for (const table of tables.filter((t) => t.kind === 'responsive')) {
+            const loaded = limit === null ? table : await this.loadResponsiveRows(table.tableId, start + limit);
+            responsive.set(table.tableListId, loaded);
+        }
+
+        const read = raw ? await this.readResponsiveTables([...responsive.values()]) : await this.page.evaluate(() => {
+            const results = [];
+            const tables = Array.from(document.querySelectorAll("table[id$='-innerTable-listUl']"));
+            tables.forEach((tbl) => {
+                const tableListId = tbl.id;
+                const basePrefix = tableListId.replace(/-innerTable-listUl$/, '');
+                const headerRow = document.querySelector(`#${CSS.escape(basePrefix)}-innerTable-tblHeader`);
+                const headerCells = headerRow ? Array.from(headerRow.querySelectorAll('th[id$="-innerColumn"]')) : [];
+                const columnMap = {};
+                headerCells.forEach((th) => {
+                    const hid = th.id;
+                    const after = hid.split('::C::')[1] || '';
+                    const key = after.replace(/-innerColumn$/, '');
+                    columnMap[hid] = key || hid;
+                });
+                const rows = [];
+                const bodyRows = Array.from(tbl.querySelectorAll('tbody tr.sapMListTblRow'));
+                bodyRows.forEach((tr) => {
+                    const rowObj = {};
+                    const tds = Array.from(tr.querySelectorAll('td[data-sap-ui-column]'));
+                    tds.forEach((td) => {
+                        const colId = td.getAttribute('data-sap-ui-column');
+                        const key = columnMap[colId] || colId;
+                        let text = (td.textContent || '').trim();
+                            if (!text) {
+                            const spans = Array.from(td.querySelectorAll('span'));
+                            text = spans.map(s => s.textContent || '').join(' ').trim();
+                        }
+                        if (key) rowObj[key] = text;
+                    });
+                    rows.push(rowObj);
+                });
+                results.push({ tableListId, rows, rowCount: rows.length });
+            });
+            return results;
+        });
+        const data = read.filter((entry) => !wanted || responsive.has(entry.tableListId)).map((entry) => {
+            const table = responsive.get(entry.tableListId);
+            const rows = entry.rows.slice(start, limit === null ? undefined : start + limit);
+            if (!table) return { ...entry, rows, rowCount: rows.length };
+            return { ...entry, rows, rowCount: rows.length, offset: start, totalCount: table.totalCount, totalCountFrom: table.totalCountFrom, loadedCount: table.loadedCount };
+        });
+        for (const table of tables.filter((t) => t.kind === 'grid')) {
+            const count = all ? (table.totalCount ?? Infinity) : (limit === null ? GRID_ROW_LIMIT : limit);
+            const rows = await this.readGridRows(table.tableId, start, count, { raw });
+            data.push({ ...rows, offset: start, totalCountFrom: table.totalCountFrom });
+        }
+        return {
+            content: [
+                {
+                    type: 'text',
+                    text: JSON.stringify({ tables: data }, null, 2)
+                }
+            ]
+        };
+    }
+
+    // Presses the growing trigger ("More"), or scrolls for growingScrollToLoad, until needed rows are loaded or no more come
+    async loadResponsiveRows(tableId, needed) {
+        const describe = async () => (await tableOp(this.page, { op: 'list' })).tables.find((t) => t.tableId === tableId);
+        let table = await describe();
+        while (table && table.growing && table.loadedCount < needed && (table.totalCount === null || table.loadedCount < table.totalCount)) {
+            const trigger = this.page.locator(`[id="${tableId}-trigger"]`);
+            if (!table.growingScrollToLoad && await trigger.isVisible()) {
+                await trigger.click();
+            } else {
+                await tableOp(this.page, { op: 'scroll', tableId, rowIndex: table.loadedCount - 1 });
+            }
+            await this.waitForIdle();
+            const next = await describe();
+            if (!next || next.loadedCount === table.loadedCount) return next || table;
+            table = next;
+        }
+        return table;
+    }
+
+    async readResponsiveTables(tables) {
+        const results = [];
+        for (const table of tables) {
+            const { rows } = await tableOp(this.page, { op: 'read', tableId: table.tableId, from: 0, count: table.loadedCount, raw: true });
+            results.push({ tableListId: table.tableListId, tableId: table.tableId, rows, rowCount: rows.length });
+        }
+        return results;
+    }
+
+    // extract-all's output (output.all), relative to the working directory like in extract-all.js and rc.js
+    loadAllJson() {
+        const file = path.resolve(process.cwd(), getConfig().output.all);
+        if (!fs.existsSync(file)) throw new Error(`all.json not found at ${file}; run extract-all first`);
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+
+    // Filters and table actions of the selected app come from its metadata, so start_app({ app }) switches them too.
+    // all.json describes one app: only a single-app session whose metadata lacks them falls back to it.
+    appFilters() {
+        const filters = (this.appMetadata.filters || []).map((f) => ({
+            propertyKey: f.propertyKey,
+            label: f.label,
+            selectors: f.selectors || { inputCss: f.selector }
+        }));
+        if (filters.length || this.apps) return filters;
+        return this.loadAllJson().filters || [];
+    }
+
+    appTables() {
+        const tables = this.appMetadata.tables || [];
+        if (tables.some((t) => (t.actions || []).length) || this.apps) return tables;
+        return this.loadAllJson().tables || [];
+    }
+
+    async executeAction(action) {
+        const table = this.appTables()[0];
+        if (!table) throw new Error('No table found');
+        
+        const actions = table.actions || [];
+        const act = actions.find(a => a.id === action || a.text === action);
+        if (!act) throw new Error('Action not found: ' + action);
+        
+        await this.page.click(act.selector);
+        
+        // Wait for the results (messages, object page, or form fields) to be requested and rendered
+        await this.waitForIdle();
+
+        const messages = await this.page.evaluate(() => {
+            const collected = [];
+
+            // Message Popover variant
+            const popover = document.querySelector('.sapMMsgView, [id$="messagePopover-popover-cont"], .sapMMessageView');
+            if (popover) {
+                const items = popover.querySelectorAll('.sapMMsgViewItem, li.sapMMsgViewItem, li.sapMLIB');
+                items.forEach((li) => {
+                    const textEl = li.querySelector('.sapMLnkText, .sapMSLITitleOnly, .sapMSLITitleOnly span, a .sapMLnkText') || li.querySelector('a, span');
+                    const text = (textEl?.textContent || '').replace(/\u00A0/g, ' ').trim();
+                    const cls = li.className || '';
+                    let severity = 'Information';
+                    if (cls.includes('Error')) severity = 'Error';
+                    else if (cls.includes('Warning')) severity = 'Warning';
+                    else if (cls.includes('Success')) severity = 'Success';
+                    if (text) collected.push({ severity, text });
+                });
+            }
+
+            // MessageBox/Dialog variant
+            const dialogs = Array.from(document.querySelectorAll('.sapMDialog.sapMMessageBox, .sapMDialogError, .sapMMessageDialog, .sapMMessageBoxError, [role="alertdialog"].sapMDialog'));
+            dialogs.forEach((dlg) => {
+                const boxText = dlg.querySelector('.sapMFT, .sapMMsgBoxText, [id$="-title"], [id$="-title-inner"]');
+                const text = (boxText?.textContent || '').replace(/\u00A0/g, ' ').trim();
+                if (text) {
+                    const cls = dlg.className || '';
+                    let severity = 'Information';
+                    if (cls.includes('Error')) severity = 'Error';
+                    else if (cls.includes('Warning')) severity = 'Warning';
+                    else if (cls.includes('Success')) severity = 'Success';
+                    collected.push({ severity, text });
+                }
+            });
+
+            return collected;
+        });
+
+        if (Array.isArray(messages) && messages.length > 0) {
+            return {
+                content: [
+                    { type: 'text', text: 'Action executed with messages' },
+                    { type: 'text', text: JSON.stringify({ action, scenario: 'error_messages', messages }, null, 2) }
+                ]
+            };
+        }
+
+        // Detect dialog/form or opened form on page and return fields
+        const scenario = await this.page.evaluate(() => {
+            const dialog = document.querySelector('.sapMDialog.sapMDialogOpen');
+            if (dialog) {
+                const hasForm = dialog.querySelector('form, .sapUiForm, input[type="text"], .sapMInputBase');
+                const hasFooter = dialog.querySelector('.sapMDialogFooter');
+                if (hasForm && hasFooter) return { type: 'popup_dialog' };
+            }
+            const objectPage = document.querySelector('.sapUxAPObjectPageLayout, .sapFeCoreObjectPage, [id*="ObjectPage"]');
+            const formFields = document.querySelector('[id*="::Field-edit"], input[id*="-inner"], .sapMInputBase');
+            if (objectPage || formFields) return { type: 'form_opened' };
+            return { type: 'action_completed' };
+        });
+
+        if (scenario.type === 'popup_dialog') {
+            const dialogFields = await this.page.evaluate(() => {
+                const dialog = document.querySelector('.sapMDialog.sapMDialogOpen');
+                if (!dialog) return [];
+                const fields = [];
+                const inputs = dialog.querySelectorAll('input[type="text"], .sapMInputBase input, textarea');
+                inputs.forEach((input, index) => {
+                    const label = dialog.querySelector('label[for="' + input.id + '"]') || input.closest('.sapUiFormElement')?.querySelector('.sapMLabel') || input.previousElementSibling;
+                    const labelText = (label?.textContent || '').replace(/\u00A0/g, ' ').trim() || ('Field ' + (index + 1));
+                    fields.push({ id: input.id || ('dialog-field-' + index), label: labelText, value: input.value || '', type: input.type || 'text', selector: input.id ? ('#' + CSS.escape(input.id)) : ('input:nth-of-type(' + (index + 1) + ')') });
+                });
+                return fields;
+            });
+            return {
+                content: [
+                    { type: 'text', text: 'Action opened popup dialog' },
+                    { type: 'text', text: JSON.stringify({ action, scenario: 'popup_dialog', formFields: dialogFields }, null, 2) }
+                ]
+            };
+        }
+
+        if (scenario.type === 'form_opened') {
+            const formFields = await this.page.evaluate(() => {
+                const fields = [];
+                const inputs = document.querySelectorAll('[id*="::Field-edit"], input[id*="-inner"], .sapMInputBase input, textarea');
+                inputs.forEach((input, index) => {
+                    const label = document.querySelector('label[for="' + input.id + '"]') || input.closest('.sapUiFormCLElement')?.querySelector('.sapMLabel') || input.previousElementSibling;
+                    const labelText = (label?.textContent || '').replace(/\u00A0/g, ' ').trim() || ('Field ' + (index + 1));
+                    fields.push({ id: input.id || ('form-field-' + index), label: labelText, value: input.value || '', type: input.type || 'text', selector: input.id ? ('#' + CSS.escape(input.id)) : ('input:nth-of-type(' + (index + 1) + ')') });
+                });
+                return fields;
+            });
+            return {
+                content: [
+                    { type: 'text', text: 'Action opened form' },
+                    { type: 'text', text: JSON.stringify({ action, scenario: 'form_opened', formFields }, null, 2) }
+                ]
+            };
+        }
+
+        return {
+            content: [
+                { type: 'text', text: 'Action executed successfully' },
+                { type: 'text', text: JSON.stringify({ action, scenario: 'action_completed' }, null, 2) }
+            ]
+        };
+    }
+
+    // The table select_row and open_object_page act on: the list report's responsive table, else the first grid table
+    async primaryTable() {
+        return pageActions.primaryTable(this.page);
+    }
+
+    /**
+     * The table a tool's table argument names: its id as returned by list_tables, the end of it
+     * (e.g. "fe::table::_Booking::LineItem") or its title. Without one, the primary table.
+     */
+    async resolveTable(table) {
+        if (table === undefined || table === null || table === '') return this.primaryTable();
+        const wanted = String(table).trim();
+        const { tables } = await tableOp(this.page, { op: 'list', details: true });
+        const bareTitle = (t) => (t.title || '').replace(/\s*\([\d.,\s\u00a0]*\)\s*$/, '').trim().toLowerCase();
+        let found = tables.filter((t) => t.tableId === wanted || t.tableListId === wanted);
+        if (!found.length) {
+            found = tables.filter((t) => t.tableId.replace(/-innerTable$/, '').endsWith(wanted) || bareTitle(t) === wanted.toLowerCase());
+        }
+        const known = tables.map((t) => `${t.tableId}${t.title ? ` ("${t.title}")` : ''}`).join(', ') || 'none';
+        if (!found.length) throw new Error(`No table "${wanted}" on the page; tables: ${known}`);
+        if (found.length > 1) throw new Error(`"${wanted}" names ${found.length} tables; use one of the ids: ${found.map((t) => t.tableId).join(', ')}`);
+        return found[0];
+    }
+
+    async listTables() {
+        const { tables } = await tableOp(this.page, { op: 'list', details: true, includeHidden: true });
+        const summary = tables.map((t) => ({
+            tableId: t.tableId,
+            type: t.type,
+            title: t.title,
+            section: t.section,
+            visible: t.visible,
+            rowCount: t.kind === 'grid' ? t.totalCount : t.loadedCount,
+            totalCount: t.totalCount,
+            actions: t.actions
+        }));
+        return {
+            content: [{ type: 'text', text: JSON.stringify({ tables: summary }, null, 2) }]
+        };
+    }
+
+    /**
+     * Index of the one loaded row matching every entry of match ({ TravelID: '4711' }) by column text,
+     * bound property or entity key. Unlike an index, this survives sorting, filtering and paging.
+     */
+    async findRowIndex(match, table) {
+        if (!match || typeof match !== 'object' || !Object.keys(match).length) {
+            throw new Error('match must be an object of column keys or properties and values, e.g. { "TravelID": "4711" }');
+        }
+        table = table || await this.primaryTable();
+        const { indices, checked, totalCount } = await tableOp(this.page, { op: 'find', tableId: table.tableId, match });
+        const what = `${JSON.stringify(match)} in ${table.tableId}`;
+        if (!indices.length) {
+            const unchecked = totalCount !== null && totalCount > checked ? `; ${totalCount - checked} rows are not loaded, filter the list or read them with get_table_rows all` : '';
+            throw new Error(`No row matches ${what} (checked ${checked} rows${unchecked})`);
+        }
+        if (indices.length > 1) {
+            throw new Error(`${indices.length} rows match ${what} (rows ${indices.join(', ')}); add columns to match exactly one`);
+        }
+        return indices[0];
+    }
+
+    async resolveRowIndex(rowIndex, match, table) {
+        if (match !== undefined) return this.findRowIndex(match, table);
+        const index = Number(rowIndex);
+        if (rowIndex === undefined || rowIndex === null || !Number.isInteger(index)) throw new Error('Pass rowIndex or match');
+        return index;
+    }
+
+    async selectRow(rowIndex, match, tableName) {
+        const target = await this.resolveTable(tableName);
+        rowIndex = await this.resolveRowIndex(rowIndex, match, target);
+        const label = match ? `Row ${rowIndex} (${JSON.stringify(match)})` : `Row ${rowIndex}`;
+        await pageActions.selectRow(this.page, rowIndex, target);
+        return {
+            content: [
+                {
+                    type: 'text',
+                    text: `${label} selected`
+                }
+            ]
+        };
+    }
+
+    // Adds rows to the selection; rows already selected stay selected (a checkbox click would toggle them off)
+    async selectRows(rowIndices = [], matches = [], tableName) {
+        const target = await this.resolveTable(tableName);
+        const indices = [];
+        for (const rowIndex of rowIndices) indices.push(await this.resolveRowIndex(rowIndex, undefined, target));
+        for (const match of matches) indices.push(await this.findRowIndex(match, target));
+        if (!indices.length) throw new Error('Pass rowIndices or matches');
+        const before = await tableOp(this.page, { op: 'selection', tableId: target.tableId });
+        if (indices.length > 1 && !/^Multi/.test(before.selectionMode)) {
+            throw new Error(`${target.tableId} allows only one selected row (selection mode ${before.selectionMode})`);
+        }
+        const selected = new Set(before.rows.map((row) => row['@index']));
+        for (const rowIndex of indices) {
+            if (selected.has(rowIndex)) continue;
+            await pageActions.selectRow(this.page, rowIndex, target);
+            selected.add(rowIndex);
+        }
+        await this.waitForIdle();
+        const after = await tableOp(this.page, { op: 'selection', tableId: target.tableId });
+        return {
+            content: [
+                {
+                    type: 'text',
+                    text: `Rows ${indices.join(', ')} selected; ${after.selectedCount} rows of ${target.tableId} are selected`
+                }
+            ]
+        };
+    }
+
+    // The header checkbox of a responsive table selects the loaded items only; a grid selects through its selection plugin
+    async selectAll(tableName) {
+        const target = await this.resolveTable(tableName);
+        if (target.kind === 'grid') {
+            await tableOp(this.page, { op: 'selectAll', tableId: target.tableId });
+        } else {
+            const checkbox = this.page.locator(`[id="${target.tableId}-sa"]`);
+            if (!await checkbox.count()) {
+                throw new Error(`${target.tableId} has no select-all checkbox (single selection, or only "Deselect All")`);
+            }
+            if (await checkbox.getAttribute('aria-checked') !== 'true') await checkbox.click();
+        }
+        await this.waitForIdle();
+        const result = await tableOp(this.page, { op: 'selection', tableId: target.tableId });
+        const partial = result.totalCount !== null && result.totalCount > result.selectedCount
+            ? ` (${result.totalCount} in total; load more rows with get_table_rows all first to include them)`
+            : '';
+        return {
+            content: [
+                {
+                    type: 'text',
+                    text: `${result.selectedCount} rows of ${target.tableId} selected${partial}`
+                }
+            ]
+        };
+    }
+
+    async clearSelection(tableName) {
+        const target = await this.resolveTable(tableName);
+        await tableOp(this.page, { op: 'clearSelection', tableId: target.tableId });
+        await this.waitForIdle();
+        return {
+            content: [
+                {
+                    type: 'text',
+                    text: `Selection of ${target.tableId} cleared`
+                }
+            ]
+        };
+    }
+
+    async getSelection(tableName) {
+        const target = await this.resolveTable(tableName);
+        const result = await tableOp(this.page, { op: 'selection', tableId: target.tableId });
+        return {
+            content: [
+                {
+                    type: 'text',
+                    text: JSON.stringify(result, null, 2)
+                }
+            ]
+        };
+    }
+
+    async openObjectPage(rowIndex, match, tableName) {
+        const target = await this.resolveTable(tableName);
+        rowIndex = await this.resolveRowIndex(rowIndex, match, target);
+        const label = match ? `row ${rowIndex} (${JSON.stringify(match)})` : `row ${rowIndex}`;
+        await pageActions.openObjectPage(this.page, rowIndex, target);
+        return {
+            content: [
+                {
+                    type: 'text',
+                    text: `Object page opened for ${label}`
+                }
+            ]
+        };
+    }
+
+    // Opens the table's personalization dialog (the settings button scan.js --p13n-columns presses) and changes one panel
+    async personalizeTable(tableName, kind, columns, options = {}) {
+        const table = await this.resolveTable(tableName);
+        await tableOp(this.page, { op: 'openP13n', tableId: table.tableId });
+        await this.page.waitForSelector('.sapMP13nPopup.sapMDialog', { timeout: 10000 });
+        await this.waitForIdle();
+        const result = await tableOp(this.page, { op: 'p13n', tableId: table.tableId, kind, columns, ...options });
+        // The table rebinds with the new sorting, grouping or columns
+        await this.waitForIdle();
+        return result;
+    }
+
+    async sortTable(column, descending = false, tableName) {
+        const result = await this.personalizeTable(tableName, 'sort', column ? [column] : [], { descending });
+        const text = column ? `${result.tableId} sorted by ${column} ${descending ? 'descending' : 'ascending'}` : `Sorting of ${result.tableId} removed`;
+        return {
+            content: [
+                { type: 'text', text },
+                { type: 'text', text: JSON.stringify(result, null, 2) }
+            ]
+        };
+    }
+
+    async groupTable(column, tableName) {
+        const result = await this.personalizeTable(tableName, 'group', column ? [column] : []);
+        const text = column ? `${result.tableId} grouped by ${column}` : `Grouping of ${result.tableId} removed`;
+        return {
+            content: [
+                { type: 'text', text },
+                { type: 'text', text: JSON.stringify(result, null, 2) }
+            ]
+        };
+    }
+
+    async setVisibleColumns(columns, tableName) {
+        if (!Array.isArray(columns) || !columns.length) throw new Error('columns must list at least one column');
+        const result = await this.personalizeTable(tableName, 'columns', columns);
+        return {
+            content: [
+                { type: 'text', text: `${result.tableId} shows ${result.visibleColumns.length} columns` },
+                { type: 'text', text: JSON.stringify(result, null, 2) }
+            ]
+        };
+    }
+
+    // A cell by row and column property key, its editor marked for clicking; grid rows are scrolled into view first
+    async tableCell(rowIndex, match, column, tableName) {
+        if (!column) throw new Error('Pass column, the property key as in get_table_rows');
+        const target = await this.resolveTable(tableName);
+        rowIndex = await this.resolveRowIndex(rowIndex, match, target);
+        if (target.kind === 'grid') await this.revealGridRow(rowIndex, target.tableId);
+        return tableOp(this.page, { op: 'cell', tableId: target.tableId, rowIndex, column });
+    }
+
+    async getTableCell(rowIndex, match, column, tableName) {
+        const cell = await this.tableCell(rowIndex, match, column, tableName);
+        return {
+            content: [
+                {
+                    type: 'text',
+                    text: JSON.stringify(cell, null, 2)
+                }
+            ]
+        };
+    }
+
+    async setTableCell(rowIndex, match, column, value, tableName) {
+        const cell = await this.tableCell(rowIndex, match, column, tableName);
+        if (!cell.editable) {
+            throw new Error(`${cell.column} of row ${cell.rowIndex} is not editable (${cell.control}); table cells only take input while the object page is in edit mode`);
+        }
+        const editor = this.page.locator('[data-fiori-mcp-target="cell"]');
+        if (cell.control === 'checkbox') {
+            const wanted = value === true || /^(true|x|yes|1)$/i.test(String(value).trim());
+            if (wanted !== cell.value) await editor.click();
+        } else if (cell.control === 'select') {
+            const option = cell.options.find((text) => text.trim().toLowerCase() === String(value).trim().toLowerCase());
+            if (!option) throw new Error(`"${value}" is not an option of ${cell.column}; options: ${cell.options.join(', ')}`);
+            await editor.click();
+            const exact = new RegExp('^\\s*' + option.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + '\\s*$');
+            await this.page.locator('.sapMSelectList li:visible', { hasText: exact }).first().click();
+        } else {
+            // Enter confirms like a user would: a value help resolves the typed key or description, or takes the suggestion
+            await editor.fill(String(value));
+            const multiline = await editor.evaluate((el) => el.tagName === 'TEXTAREA');
+            await editor.press(multiline ? 'Tab' : 'Enter');
+        }
+        await this.waitForIdle();
+        const after = await tableOp(this.page, { op: 'cell', tableId: cell.tableId, rowIndex: cell.rowIndex, column: cell.column });
+        const problem = after.valueState === 'Error' ? ` but is invalid: ${after.valueStateText || 'check the value'}` : '';
+        return {
+            content: [
+                { type: 'text', text: `${after.column} of row ${after.rowIndex} set to ${value}${problem}` },
+                { type: 'text', text: JSON.stringify(after, null, 2) }
+            ]
+        };
+    }
+
+    // Inline creation: Create adds an empty row to the table instead of opening a new page
+    async addTableRow(tableName) {
+        const target = await this.resolveTable(tableName);
+        const { tables } = await tableOp(this.page, { op: 'list', details: true });
+        const actions = (tables.find((t) => t.tableId === target.tableId) || {}).actions || [];
+        const create = actions.find((action) => /::StandardAction::Create$/.test(action.id));
+        if (!create) {
+            throw new Error(`${target.tableId} has no Create button; toolbar actions: ${actions.map((action) => action.text).join(', ') || 'none'}`);
+        }
+        if (!create.enabled) throw new Error(`Create of ${target.tableId} is disabled; switch the object page to edit mode first`);
+        // Same blockedActions entry as execute_table_action "Create", also when the button text is translated
+        this.checkBlockedAction('Create');
+        if (create.text) this.checkBlockedAction(create.text);
+        const before = new Set((await tableOp(this.page, { op: 'paths', tableId: target.tableId })).paths);
+        await this.page.locator(`[id="${create.id}"]`).click();
+        await this.waitForIdle();
+        // Creating on a new page navigates away, taking the table along
+        const after = await tableOp(this.page, { op: 'paths', tableId: target.tableId }).catch(() => null);
+        const rowIndex = after ? after.paths.findIndex((path) => path && !before.has(path)) : -1;
+        if (rowIndex < 0) {
+            return {
+                content: [
+                    { type: 'text', text: `Create pressed on ${target.tableId}, but no row was added inline; the table may create entries on a new page` }
+                ]
+            };
+        }
+        return {
+            content: [
+                { type: 'text', text: `Row ${rowIndex} added to ${target.tableId}; fill it with set_table_cell (rowIndex ${rowIndex})` },
+                { type: 'text', text: JSON.stringify({ tableId: target.tableId, rowIndex, path: after.paths[rowIndex] }, null, 2) }
+            ]
+        };
+    }
+
+    async expandTreeNode(rowIndex, expand = true) {
+        const table = await this.revealGridRow(rowIndex);
+        const result = await tableOp(this.page, { op: 'expand', tableId: table.tableId, rowIndex, expand });
+        await this.waitForIdle();
+        // The node's children (or the rows that moved up after a collapse) follow it
+        const rows = await this.readGridRows(table.tableId, rowIndex, table.visibleRowCount || 20);
+        return {
+            content: [
+                { type: 'text', text: `Row ${rowIndex} ${result.expanded ? 'expanded' : 'collapsed'}` },
+                { type: 'text', text: JSON.stringify(rows, null, 2) }
+            ]
+        };
+    }
+
+    async scrollTable(rowIndex) {
+        const table = await this.revealGridRow(rowIndex);
+        const state = await tableOp(this.page, { op: 'scroll', tableId: table.tableId, rowIndex });
+        await this.waitForIdle();
+        const rows = await this.readGridRows(table.tableId, state.firstVisibleRow, state.visibleRowCount);
+        return {
+            content: [{ type: 'text', text: JSON.stringify({ ...rows, firstVisibleRow: state.firstVisibleRow }, null, 2) }]
+        };
+    }
+
+    async getObjectActions() {
+        const actions = await this.page.evaluate(() => {
+            const results = [];
+            const containers = Array.from(document.querySelectorAll('[id$="--fe::ObjectPageDynamicHeaderTitle-mainActions"], .sapFDynamicPageTitleMainActions'));
+            
+            containers.forEach((container) => {
+                const buttons = Array.from(container.querySelectorAll('button'));
+                buttons.forEach((btn) => {
+                    // Exclude internal chrome buttons like __button6-internalBtn
+                    if (btn.id && /__buttond+-internalBtn/.test(btn.id)) return;
+                    const text = btn.textContent?.trim() || btn.getAttribute('aria-label') || '';
+                    if (text) {
+                        results.push({
+                            id: btn.id,
+                            text: text,
+                            selector: '#' + CSS.escape(btn.id)
+                        });
+                    }
+                });
+            });
+            
+            return results;
+        });
+        
+        return {
+            content: [
+                {
+                    type: 'text',
+                    text: JSON.stringify({ actions }, null, 2)
+                }
+            ]
+        };
+    }
+
+    async getTableActions(tableName) {
+        const table = tableName ? await this.resolveTable(tableName) : null;
+        // A table without a toolbar can still carry FE standard actions (e.g. Create on an object page table)
+        const standardPrefix = table && !table.toolbarId ? table.tableId.replace(/-innerTable$/, '') + '::StandardAction::' : null;
+        const actions = await this.page.evaluate(({ toolbarId, standardPrefix }) => {
+            const results = [];
+            const toolbars = standardPrefix
+                ? [document]
+                : toolbarId
+                    ? [document.getElementById(toolbarId)].filter(Boolean)
+                    : Array.from(document.querySelectorAll('[id$="-toolbar"], .sapMTB.sapMOTB'));
+            const guessRequiresSelectionByText = (txt) => {
+                const t = (txt || '').toLowerCase();
+                // Common FE actions that typically require a row selection
+                return t.includes('delete') || t.includes('update') || t.includes('copy') || t.includes('edit') || t.includes('open') || t.includes('share');
+            };
+            toolbars.forEach((tb) => {
+                const buttons = Array.from(tb.querySelectorAll(standardPrefix ? `button[id*="${standardPrefix}"]` : 'button'));
+                buttons.forEach((btn) => {
+                    // Exclude internal chrome buttons like __button6-internalBtn
+                    if (btn.id && /__buttond+-internalBtn/.test(btn.id)) return;
+                    const text = (btn.textContent || btn.getAttribute('aria-label') || '').replace(/\u00A0/g, ' ').trim();
+                    if (!text) return;
+                    const disabled = btn.hasAttribute('disabled') || btn.classList.contains('sapMBtnDisabled');
+                    const requiresSelectionLikely = disabled ? guessRequiresSelectionByText(text) : false;
+                    results.push({
+                        id: btn.id,
+                        text,
+                        selector: '#' + CSS.escape(btn.id),
+                        enabled: !disabled,
+                        requiresSelectionLikely
+                    });
+                });
+            });
+            return results;
+        }, { toolbarId: table ? table.toolbarId : null, standardPrefix });
+
+        const note = standardPrefix ? { note: `${table.tableId} has no toolbar; only its FE standard actions are listed` } : {};
+        return {
+            content: [
+                { type: 'text', text: JSON.stringify({ ...note, actions }, null, 2) }
+            ]
+        };
+    }
+
+    async executeTableAction(action, tableName) {
+        // With a table argument only that table's toolbar and standard actions qualify
+        const table = tableName ? await this.resolveTable(tableName) : null;
+        const clicked = await pageActions.executeTableAction(this.page, action, table);
+        if (!clicked.success) {
+            return {
+                content: [
+                    { type: 'text', text: clicked.reason }
+                ],
+                isError: true
+            };
+        }
+
+        // Check for different scenarios in order of priority
+        const scenario = await this.page.evaluate(() => {
+            // Scenario 1: Standard popup dialog (sapMDialog with form)
+            const dialog = document.querySelector('.sapMDialog.sapMDialogOpen');
+            if (dialog) {
+                const hasForm = dialog.querySelector('form, .sapUiForm, input[type="text"], .sapMInputBase');
+                const hasFooter = dialog.querySelector('.sapMDialogFooter');
+                if (hasForm && hasFooter) {
+                    return { type: 'popup_dialog', dialog: dialog.id || 'unknown' };
+                }
+            }
+
+            // Scenario 2: Error messages (various types)
+            const errorPopover = document.querySelector('.sapMMsgView, [id$="messagePopover-popover-cont"], .sapMMessageView');
+            const errorDialog = document.querySelector('.sapMDialog.sapMMessageBox, .sapMDialogError, .sapMMessageDialog, .sapMMessageBoxError, [role="alertdialog"].sapMDialog');
+            const errorStrip = document.querySelector('.sapMMessageStrip');
+            if (errorPopover || errorDialog || errorStrip) {
+                return { type: 'error_messages' };
+            }
+
+            // Scenario 3: Form opened (object page or standalone form)
+            const objectPage = document.querySelector('.sapUxAPObjectPageLayout, .sapFeCoreObjectPage, [id*="ObjectPage"]');
+            const formFields = document.querySelector('[id*="::Field-edit"], input[id*="-inner"], .sapMInputBase');
+            if (objectPage || formFields) {
+                return { type: 'form_opened' };
+            }
+
+            // Scenario 4: Action executed, nothing changed
+            return { type: 'action_completed' };
+        });
+
+        // Handle each scenario appropriately
+        if (scenario.type === 'popup_dialog') {
+            // Get dialog form fields
+            const dialogFields = await this.page.evaluate(() => {
+                const dialog = document.querySelector('.sapMDialog.sapMDialogOpen');
+                if (!dialog) return [];
+
+                const fields = [];
+                const inputs = dialog.querySelectorAll('input[type="text"], .sapMInputBase input, textarea');
+                inputs.forEach((input, index) => {
+                    const label = dialog.querySelector('label[for="' + input.id + '"]') || 
+                                input.closest('.sapUiFormElement')?.querySelector('.sapMLabel') ||
+                                input.previousElementSibling;
+                    const labelText = label?.textContent?.replace(/\u00A0/g, ' ').trim() || ('Field ' + (index + 1));
+
+                    fields.push({
+                        id: input.id || ('dialog-field-' + index),
+                        label: labelText,
+                        value: input.value || '',
+                        type: input.type || 'text',
+                        selector: input.id ? '#' + CSS.escape(input.id) : ('input:nth-of-type(' + (index + 1) + ')')
+                    });
+                });
+                return fields;
+            });
+
+            return {
+                content: [
+                    { type: 'text', text: 'Action opened popup dialog' },
+                    { type: 'text', text: JSON.stringify({ 
+                        action, 
+                        scenario: 'popup_dialog',
+                        dialogId: scenario.dialog,
+                        formFields: dialogFields 
+                    }, null, 2) }
+                ]
+            };
+        }
+
+        if (scenario.type === 'error_messages') {
+            // Collect error messages
+            const messages = await this.page.evaluate(() => {
+                const collected = [];
+
+                // Message Popover variant
+                const popover = document.querySelector('.sapMMsgView, [id$="messagePopover-popover-cont"], .sapMMessageView');
+                if (popover) {
+                    const items = popover.querySelectorAll('.sapMMsgViewItem, li.sapMMsgViewItem, li.sapMLIB');
+                    items.forEach((li) => {
+                        const textEl = li.querySelector('.sapMLnkText, .sapMSLITitleOnly, .sapMSLITitleOnly span, a .sapMLnkText') || li.querySelector('#__item24-titleText, #__item26-titleText, a, span');
+                        const text = (textEl?.textContent || '').replace(/\u00A0/g, ' ').trim();
+                        const cls = li.className || '';
+                        let severity = 'Information';
+                        if (cls.includes('Error')) severity = 'Error';
+                        else if (cls.includes('Warning')) severity = 'Warning';
+                        else if (cls.includes('Success')) severity = 'Success';
+                        if (text) collected.push({ severity, text });
+                    });
+                }
+
+                // MessageBox/Dialog variant
+                const dialogs = Array.from(document.querySelectorAll('.sapMDialog.sapMMessageBox, .sapMDialogError, .sapMMessageDialog, .sapMMessageBoxError, [role="alertdialog"].sapMDialog'));
+                dialogs.forEach((dlg) => {
+                    const boxText = dlg.querySelector('.sapMFT, .sapMMsgBoxText, [id$="-title"], [id$="-title-inner"]');
+                    const text = (boxText?.textContent || '').replace(/\u00A0/g, ' ').trim();
+                    if (text) {
+                        const cls = dlg.className || '';
+                        let severity = 'Information';
+                        if (cls.includes('Error')) severity = 'Error';
+                        else if (cls.includes('Warning')) severity = 'Warning';
+                        else if (cls.includes('Success')) severity = 'Success';
+                        collected.push({ severity, text });
+                    }
+                });
+
+                // Message Strips
+                const strips = Array.from(document.querySelectorAll('.sapMMessageStrip'));
+                strips.forEach((strip) => {
+                    const text = (strip.textContent || '').replace(/\u00A0/g, ' ').trim();
+                    if (!text) return;
+                    const cls = strip.className || '';
+                    let severity = 'Information';
+                    if (cls.includes('Error')) severity = 'Error';
+                    else if (cls.includes('Warning')) severity = 'Warning';
+                    else if (cls.includes('Success')) severity = 'Success';
+                    collected.push({ severity, text });
+                });
+
+                return collected;
+            });
+
+            return {
+                content: [
+                    { type: 'text', text: 'Action executed with error messages' },
+                    { type: 'text', text: JSON.stringify({ 
+                        action, 
+                        scenario: 'error_messages',
+                        messages 
+                    }, null, 2) }
+                ]
+            };
+        }
+
+        if (scenario.type === 'form_opened') {
+            // Get form fields from the opened form
+            const formFields = await this.page.evaluate(() => {
+                const fields = [];
+                const inputs = document.querySelectorAll('[id*="::Field-edit"], input[id*="-inner"], .sapMInputBase input, textarea');
+                inputs.forEach((input, index) => {
+                    const label = document.querySelector('label[for="' + input.id + '"]') || 
+                                input.closest('.sapUiFormCLElement')?.querySelector('.sapMLabel') ||
+                                input.previousElementSibling;
+                    const labelText = label?.textContent?.replace(/\u00A0/g, ' ').trim() || ('Field ' + (index + 1));
+
+                    fields.push({
+                        id: input.id || ('form-field-' + index),
+                        label: labelText,
+                        value: input.value || '',
+                        type: input.type || 'text',
+                        selector: input.id ? '#' + CSS.escape(input.id) : ('input:nth-of-type(' + (index + 1) + ')')
+                    });
+                });
+                return fields;
+            });
+
+            return {
+                content: [
+                    { type: 'text', text: 'Action opened form' },
+                    { type: 'text', text: JSON.stringify({ 
+                        action, 
+                        scenario: 'form_opened',
+                        formFields 
+                    }, null, 2) }
+                ]
+            };
+        }
+
+        // Scenario 4: Action completed, nothing changed
+        return {
+            content: [
+                { type: 'text', text: 'Action executed successfully' },
+                { type: 'text', text: JSON.stringify({ 
+                    action, 
+                    scenario: 'action_completed' 
+                }, null, 2) }
+            ]
+        };
+    }
+
+    async executeDialogAction(action) {
+        const target = (action || '').toLowerCase().trim();
+        if (!target) {
+            throw new Error('Dialog action is required');
+        }
+
+        const clicked = await pageActions.executeDialogAction(this.page, action);
+        if (!clicked.success) {
+            return {
+                content: [
+                    { type: 'text', text: 'Dialog action failed: ' + clicked.reason }
+                ],
+                isError: true
+            };
+        }
+
+        const messages = await this.page.evaluate(() => {
+            const collected = [];
+
+            const popover = document.querySelector('.sapMMsgView, [id$="messagePopover-popover-cont"], .sapMMessageView');
+            if (popover) {
+                const items = popover.querySelectorAll('.sapMMsgViewItem, li.sapMMsgViewItem, li.sapMLIB');
+                items.forEach((li) => {
+                    const textEl = li.querySelector('.sapMLnkText, .sapMSLITitleOnly, .sapMSLITitleOnly span, a .sapMLnkText') || li.querySelector('a, span');
+                    const text = (textEl?.textContent || '').replace(/\u00A0/g, ' ').trim();
+                    const cls = li.className || '';
+                    let severity = 'Information';
+                    if (cls.includes('Error')) severity = 'Error';
+                    else if (cls.includes('Warning')) severity = 'Warning';
+                    else if (cls.includes('Success')) severity = 'Success';
+                    if (text) collected.push({ severity, text });
+                });
+            }
+
+            const dialogs = Array.from(document.querySelectorAll('.sapMDialog.sapMMessageBox, .sapMDialogError, .sapMMessageDialog, .sapMMessageBoxError, [role="alertdialog"].sapMDialog'));
+            dialogs.forEach((dlg) => {
+                const boxText = dlg.querySelector('.sapMFT, .sapMMsgBoxText, [id$="-title"], [id$="-title-inner"]');
+                const text = (boxText?.textContent || '').replace(/\u00A0/g, ' ').trim();
+                if (text) {
+                    const cls = dlg.className || '';
+                    let severity = 'Information';
+                    if (cls.includes('Error')) severity = 'Error';
+                    else if (cls.includes('Warning')) severity = 'Warning';
+                    else if (cls.includes('Success')) severity = 'Success';
+                    collected.push({ severity, text });
+                }
+            });
+
+            const strips = Array.from(document.querySelectorAll('.sapMMessageStrip'));
+            strips.forEach((strip) => {
+                const text = (strip.textContent || '').replace(/\u00A0/g, ' ').trim();
+                if (!text) return;
+                const cls = strip.className || '';
+                let severity = 'Information';
+                if (cls.includes('Error')) severity = 'Error';
+                else if (cls.includes('Warning')) severity = 'Warning';
+                else if (cls.includes('Success')) severity = 'Success';
+                collected.push({ severity, text });
+            });
+
+            const toast = document.querySelector('.sapUiMessageToast');
+            if (toast) {
+                const text = (toast.textContent || '').replace(/\u00A0/g, ' ').trim();
+                if (text) collected.push({ severity: 'Information', text });
+            }
+
+            return collected;
+        });
+
+        if (messages && messages.length > 0) {
+            return {
+                content: [
+                    { type: 'text', text: 'Dialog action executed with messages' },
+                    { type: 'text', text: JSON.stringify({ action, messages }, null, 2) }
+                ]
+            };
+        }
+
+        return {
+            content: [
+                { type: 'text', text: 'Dialog action executed: ' + action }
+            ]
+        };
+    }
+
+    async getClickableElements() {
+        const elements = await this.page.evaluate(() => {
+            function isVisible(el) {
+                const rect = el.getBoundingClientRect();
+                const style = window.getComputedStyle(el);
+                return rect.width > 0 && rect.height > 0 && style.visibility !== 'hidden' && style.display !== 'none';
+            }
+            function buildSelector(el) {
+                if (el.id) return '#' + CSS.escape(el.id);
+                const aria = el.getAttribute('aria-label');
+                const role = el.getAttribute('role');
+                const text = (el.textContent || '').replace(/\u00A0/g, ' ').trim();
+                if (aria) return el.tagName.toLowerCase() + '[aria-label*="' + (window.CSS && CSS.escape ? CSS.escape(aria) : aria) + '"]';
+                if (role && text) return '[role="' + role + '"]' + ':has-text("' + text + '")';
+                if (text) return el.tagName.toLowerCase() + ':has-text("' + text + '")';
+                return '';
+            }
+
+            const clickable = [];
+            const candidates = Array.from(document.querySelectorAll('button, [role="button"], a, .sapMBtn, .sapMBtnBase'));
+            candidates.forEach((el) => {
+                if (!isVisible(el)) return;
+                const text = (el.getAttribute('aria-label') || el.textContent || '').replace(/\u00A0/g, ' ').trim();
+                if (!text) return;
+                const enabled = !el.hasAttribute('disabled') && !el.classList.contains('sapMBtnDisabled');
+                clickable.push({
+                    id: el.id || '',
+                    text,
+                    tag: el.tagName.toLowerCase(),
+                    role: el.getAttribute('role') || '',
+                    enabled,
+                    selector: buildSelector(el)
+                });
+            });
+            return clickable;
+        });
+        return {
+            content: [
+                { type: 'text', text: JSON.stringify({ elements }, null, 2) }
+            ]
+        };
+    }
+
+    async highlightElement(selector, durationMs) {
+        const ok = await this.page.evaluate(async ({ sel, ms }) => {
+            const el = document.querySelector(sel);
+            if (!el) return false;
+            const prev = el.style.outline;
+            el.style.outline = '3px solid #FF8C00';
+            await new Promise(r => setTimeout(r, typeof ms === 'number' ? ms : 1500));
+            el.style.outline = prev;
+            return true;
+        }, { sel: selector, ms: durationMs });
+        if (!ok) {
+            return { content: [{ type: 'text', text: 'Element not found: ' + selector }], isError: true };
+        }
+        return { content: [{ type: 'text', text: 'Element highlighted: ' + selector }] };
+    }
+
+    async clickBySelector(selector) {
+        const result = await pageActions.clickBySelector(this.page, selector);
+
+        if (!result || !result.success) {
+            return { content: [{ type: 'text', text: 'Click failed: ' + (result?.reason || 'unknown') }], isError: true };
+        }
+
+        await this.waitForIdle();
+        return { content: [{ type: 'text', text: 'Clicked element: ' + (result.id || selector) }] };
+    }
+
+    async typeBySelector(selector, value) {
+        const result = await pageActions.typeBySelector(this.page, selector, value);
+
+        if (!result || !result.success) {
+            return { content: [{ type: 'text', text: 'Type failed: ' + (result?.reason || 'unknown') }], isError: true };
+        }
+
+        return { content: [{ type: 'text', text: 'Typed "' + value + '" into: ' + (result.id || selector) }] };
+    }
+
+    async waitForSelector(selector, timeoutMs) {
+        try {
+            await this.page.waitForSelector(selector, { timeout: timeoutMs || 5000 });
+            return { content: [{ type: 'text', text: 'Element appeared: ' + selector }] };
+        } catch (e) {
+            return { content: [{ type: 'text', text: 'Timeout waiting for: ' + selector }], isError: true };
+        }
+    }
+
+    async waitForMissingSelector(selector, timeoutMs) {
+        try {
+            await this.page.waitForFunction((sel) => !document.querySelector(sel), selector, { timeout: timeoutMs || 5000 });
+            return { content: [{ type: 'text', text: 'Element disappeared: ' + selector }] };
+        } catch (e) {
+            return { content: [{ type: 'text', text: 'Timeout waiting for element to disappear: ' + selector }], isError: true };
+        }
+    }
+
+    async getMessages() {
+        const messages = await this.page.evaluate(() => {
+            const collected = [];
+
+            // Message Popover variant
+            const popover = document.querySelector('.sapMMsgView, [id$="messagePopover-popover-cont"], .sapMMessageView');
+            if (popover) {
+                const items = popover.querySelectorAll('.sapMMsgViewItem, li.sapMMsgViewItem, li.sapMLIB');
+                items.forEach((li) => {
+                    const textEl = li.querySelector('.sapMLnkText, .sapMSLITitleOnly, .sapMSLITitleOnly span, a .sapMLnkText') || li.querySelector('a, span');
+                    const text = (textEl?.textContent || '').replace(/\u00A0/g, ' ').trim();
+                    const cls = li.className || '';
+                    let severity = 'Information';
+                    if (cls.includes('Error')) severity = 'Error';
+                    else if (cls.includes('Warning')) severity = 'Warning';
+                    else if (cls.includes('Success')) severity = 'Success';
+                    if (text) collected.push({ type: 'popover', severity, text });
+                });
+            }
+
+            // MessageBox/Dialog variant (includes alertdialog like Delete/Cancel confirmations)
+            const dialogs = Array.from(document.querySelectorAll('.sapMDialog.sapMMessageBox, .sapMDialogError, .sapMMessageDialog, .sapMMessageBoxError, [role="alertdialog"].sapMDialog'));
+            dialogs.forEach((dlg) => {
+                const titleEl = dlg.querySelector('#' + dlg.id + '-title-inner, [id$="-title"], [id$="-title-inner"]');
+                const title = (titleEl?.textContent || '').replace(/\u00A0/g, ' ').trim() || 'Dialog';
+                const textEl = dlg.querySelector('.sapMFT, .sapMMsgBoxText, .sapMDialogScrollCont, section, .sapMText');
+                const text = (textEl?.textContent || '').replace(/\u00A0/g, ' ').trim();
+                const cls = dlg.className || '';
+                let severity = 'Information';
+                if (cls.includes('Error')) severity = 'Error';
+                else if (cls.includes('Warning')) severity = 'Warning';
+                else if (cls.includes('Success')) severity = 'Success';
+
+                // Collect actionable buttons in footer (e.g., Delete / Cancel)
+                const buttons = Array.from(dlg.querySelectorAll('footer button, .sapMDialogFooter button'))
+                    .map((btn) => {
+                        const id = btn.id || '';
+                        const textNode = btn.querySelector('bdi, .sapMBtnContent, span, .sapMBtnText');
+                        const btnText = (textNode?.textContent || btn.getAttribute('aria-label') || '').replace(/\u00A0/g, ' ').trim();
+                        return {
+                            text: btnText,
+                            selector: id ? ('#' + id) : null,
+                        };
+                    })
+                    .filter(b => b.text);
+
+                collected.push({ type: 'dialog', severity, title, text, buttons });
+            });
+
+            // Also surface any open generic UI5 dialog with footer actions (not only message boxes)
+            const openDialogs = Array.from(document.querySelectorAll('.sapMDialog.sapMDialogOpen'));
+            openDialogs.forEach((dlg) => {
+                const titleEl = dlg.querySelector('#' + dlg.id + '-title-inner, [id$="-title"], [id$="-title-inner"]');
+                const title = (titleEl?.textContent || '').replace(/\u00A0/g, ' ').trim() || 'Dialog';
+                const textEl = dlg.querySelector('.sapMDialogScrollCont, section, .sapMText');
+                const text = (textEl?.textContent || '').replace(/\u00A0/g, ' ').trim();
+                const buttons = Array.from(dlg.querySelectorAll('footer button, .sapMDialogFooter button'))
+                    .map((btn) => {
+                        const id = btn.id || '';
+                        const textNode = btn.querySelector('bdi, .sapMBtnContent, span, .sapMBtnText');
+                        const btnText = (textNode?.textContent || btn.getAttribute('aria-label') || '').replace(/\u00A0/g, ' ').trim();
+                        return {
+                            text: btnText,
+                            selector: id ? ('#' + id) : null,
+                        };
+                    })
+                    .filter(b => b.text);
+
+                if (buttons.length || text) {
+                    collected.push({ type: 'dialog', severity: 'Information', title, text, buttons });
+                }
+            });
+
+            // Message Strips
+            const strips = Array.from(document.querySelectorAll('.sapMMessageStrip'));
+            strips.forEach((strip) => {
+                const text = (strip.textContent || '').replace(/\u00A0/g, ' ').trim();
+                if (!text) return;
+                const cls = strip.className || '';
+                let severity = 'Information';
+                if (cls.includes('Error')) severity = 'Error';
+                else if (cls.includes('Warning')) severity = 'Warning';
+                else if (cls.includes('Success')) severity = 'Success';
+                collected.push({ type: 'strip', severity, text });
+            });
+
+            // Message Toasts
+            const toast = document.querySelector('.sapUiMessageToast');
+            if (toast) {
+                const text = (toast.textContent || '').replace(/\u00A0/g, ' ').trim();
+                if (text) collected.push({ type: 'toast', severity: 'Information', text });
+            }
+
+            return collected;
+        });
+
+        return {
+            content: [
+                { type: 'text', text: JSON.stringify({ messages }, null, 2) }
+            ]
+        };
+    }
+
+    async recordFlowStart() {
+        this.flowRecorder = { isRecording: true, startedAt: new Date().toISOString(), steps: [] };
+        return {
+            content: [
+                { type: 'text', text: 'Flow recording started' }
+            ]
+        };
+    }
+
+    async recordFlowStop() {
+        const steps = [...this.flowRecorder.steps];
+        const startedAt = this.flowRecorder.startedAt;
+        this.flowRecorder = { isRecording: false, steps: [] };
+        return {
+            content: [
+                { type: 'text', text: 'Flow recording stopped' },
+                { type: 'text', text: JSON.stringify({ ...(this.appId ? { app: this.appId } : {}), url: this.appMetadata.url, startedAt, steps }, null, 2) }
+            ]
+        };
+    }
+
+    async replayFlow(flow, stopOnFailure = false) {
+        const recording = typeof flow === 'string' ? JSON.parse(flow) : flow;
+        const steps = Array.isArray(recording) ? recording : (recording && recording.steps);
+        if (!Array.isArray(steps) || steps.length === 0) {
+            throw new Error('Flow has no steps. Pass the JSON returned by record_flow_stop.');
+        }
+
+        // Always replay against a fresh browser so state from earlier calls cannot leak in
+        const replayStartedAt = Date.now();
+        await this.closeApp();
+        // Multi-app recordings name their app; a leading start_app may name it too
+        await this.startApp(this.apps ? (recording.app || steps[0].arguments?.app) : undefined);
+
+        const report = [];
+        for (let index = 0; index < steps.length; index++) {
+            const step = steps[index];
+            // The app was just started; a leading start_app and nested replays are not re-executed
+            if ((index === 0 && step.tool === 'start_app') || step.tool === 'replay_flow' || step.tool === 'record_flow_start' || step.tool === 'record_flow_stop') {
+                report.push({ index, tool: step.tool, status: 'skipped', divergences: [] });
+                continue;
+            }
+
+            const startedAt = Date.now();
+            let result = null;
+            let error = null;
+            try {
+                this.checkSafety(step.tool, step.arguments || {});
+                result = await this.handleToolCall(step.tool, step.arguments || {});
+            } catch (e) {
+                error = e;
+            }
+            const durationMs = Date.now() - startedAt;
+            // Same failure signal as the recorder: a thrown error or a result flagged isError
+            const failure = error ? error.message : (isToolFailure(result) ? toolFailure(result) : null);
+            const outcome = failure ? 'error' : 'success';
+            const scenario = this.extractScenario(result);
+
+            const divergences = [];
+            if (step.outcome && step.outcome !== outcome) {
+                divergences.push(step.tool + ' ended with ' + outcome + (failure ? ' (' + failure + ')' : '') + ' where the recording saw ' + step.outcome);
+            }
+            if (step.scenario && step.scenario !== scenario) {
+                divergences.push(step.tool + ' returned ' + (scenario || 'no scenario') + ' where the recording saw ' + step.scenario);
+            }
+
+            report.push({
+                index,
+                tool: step.tool,
+                arguments: step.arguments || {},
+                status: divergences.length ? 'failed' : 'passed',
+                outcome,
+                scenario,
+                durationMs,
+                recordedDurationMs: step.durationMs,
+                error: failure || undefined,
+                divergences
+            });
+
+            if (divergences.length && stopOnFailure) break;
+            // Same idle wait the live handler applies between tool calls
+            if (step.tool !== 'start_app' && this.page) {
+                await this.waitForIdle();
+            }
+        }
+
+        const failed = report.filter(r => r.status === 'failed').length;
+        const passed = report.filter(r => r.status === 'passed').length;
+        return {
+            content: [
+                { type: 'text', text: failed ? ('Flow replay failed: ' + failed + ' of ' + steps.length + ' steps diverged') : 'Flow replay passed' },
+                { type: 'text', text: JSON.stringify({
+                    success: failed === 0 && report.length === steps.length,
+                    total: steps.length,
+                    passed,
+                    failed,
+                    skipped: report.filter(r => r.status === 'skipped').length,
+                    notRun: steps.length - report.length,
+                    durationMs: Date.now() - replayStartedAt,
+                    steps: report
+                }, null, 2) }
+            ],
+            ...(failed ? { isError: true } : {})
+        };
+    }
+
+    async getObjectFields() {
+        // Ensure we are on an object page by checking common containers
+        const isObjectPage = await this.page.evaluate(() => {
+            return Boolean(document.querySelector('.sapUxAPObjectPageLayout, .sapFeCoreObjectPage, [id*="ObjectPage"]'));
+        });
+        if (!isObjectPage) {
+            return {
+                content: [{ type: 'text', text: JSON.stringify({ fields: [], message: 'Not on an object page' }, null, 2) }]
+            };
+        }
+        const fields = await this.page.evaluate(() => {
+            const result = [];
+            const debug = [];
+            const norm = (s) => (s || '').replace(/\u00A0/g, ' ').trim();
+
+            function readDisplayValue(container) {
+                if (!container) return '';
+                
+                debug.push('\nContainer: ' + container.tagName + ' id="' + container.id + '" class="' + container.className + '"');
+                
+                // If container is already a Field-display span, use it directly
+                if (container.matches('[id$="::Field-display"]') && container.classList.contains('sapMText')) {
+                    const empty = container.querySelector('.sapMEmptyIndicator');
+                    if (empty) return '';
+                    const value = norm(container.textContent || '');
+                    debug.push('Direct Field-display span: "' + value + '"');
+                    return value;
+                }
+                
+                // Strategy 1: Look for UI5 display spans with specific patterns
+                let display = container.querySelector('[id$="::Field-display"]');
+                if (display) {
+                    const empty = display.querySelector('.sapMEmptyIndicator');
+                    if (empty) return '';
+                    const value = norm(display.textContent || '');
+                    debug.push('Found Field-display span: "' + value + '"');
+                    return value;
+                }
+                
+                // Strategy 2: Look for any span with sapMText class
+                display = container.querySelector('.sapMText');
+                if (display) {
+                    const empty = display.querySelector('.sapMEmptyIndicator');
+                    if (empty) return '';
+                    const value = norm(display.textContent || '');
+                    debug.push('Found sapMText span: "' + value + '"');
+                    return value;
+                }
+                
+                // Strategy 3: Look for any span element
+                display = container.querySelector('span');
+                if (display) {
+                    const empty = display.querySelector('.sapMEmptyIndicator');
+                    if (empty) return '';
+                    const value = norm(display.textContent || '');
+                    debug.push('Found any span: "' + value + '"');
+                    return value;
+                }
+                
+                // Strategy 4: Check for input/select elements
+                const input = container.querySelector('input, textarea, select');
+                if (input && input.value) {
+                    const value = norm(input.value);
+                    debug.push('Found input: "' + value + '"');
+                    return value;
+                }
+                
+                // Strategy 5: Use container's own text content
+                const empty = container.querySelector('.sapMEmptyIndicator');
+                if (empty) return '';
+                const value = norm(container.textContent || '');
+                debug.push('Using container text: "' + value + '"');
+                return value;
+            }
+
+            function pushField(labelNode, valueContainer) {
+                const label = norm((labelNode && labelNode.textContent) || '').replace(/[:：]$/, '');
+                if (!label) return;
+                debug.push('\nProcessing field: "' + label + '"');
+                const value = readDisplayValue(valueContainer);
+                debug.push('Final value: "' + value + '"');
+                result.push({ label, value });
+            }
+
+            // Strategy A: explicit label-control relationships
+            const labels = Array.from(document.querySelectorAll('label[for]'));
+            labels.forEach((lab) => {
+                const forId = lab.getAttribute('for');
+                const ctrl = forId ? document.getElementById(forId) : null;
+                const container = ctrl || lab.parentElement || document.getElementById(`${forId}::Field-display`) || document.querySelector(`[id="${CSS.escape(forId)}::Field-content"]`);
+                pushField(lab, container);
+            });
+
+            // Strategy B: within form elements (dt/dd pairs) - improved for UI5 object pages
+            const formElements = Array.from(document.querySelectorAll('.sapUiFormCLElement'));
+            debug.push('\nFound ' + formElements.length + ' form elements');
+            formElements.forEach((fe) => {
+                const lab = fe.querySelector('dt .sapMLabel, dt label, .sapMLabel');
+                if (lab) {
+                    // Look for the value in the dd element, specifically in Field-display spans
+                    const dd = fe.querySelector('dd');
+                    if (dd) {
+                        // Try to find the Field-display span first
+                        const displaySpan = dd.querySelector('[id$="::Field-display"]');
+                        if (displaySpan) {
+                            pushField(lab, displaySpan);
+                        } else {
+                            // Fallback to the dd element itself
+                            pushField(lab, dd);
+                        }
+                    }
+                }
+            });
+
+            // Deduplicate by label (keep last occurrence to prioritize object page fields)
+            const seen = new Set();
+            const unique = [];
+            // Process in reverse order to keep object page fields over filter fields
+            for (let i = result.length - 1; i >= 0; i--) {
+                const f = result[i];
+                const key = f.label.toLowerCase();
+                if (seen.has(key)) continue;
+                seen.add(key);
+                unique.unshift(f); // Add to beginning to maintain order
+            }
+            return { fields: unique, debug: debug.join('\n') };
+        });
+        return {
+            content: [{ type: 'text', text: JSON.stringify({ fields: fields.fields, debug: fields.debug }, null, 2) }]
+        };
+    }
+
+    async executeObjectAction(actionName) {
+        await pageActions.executeObjectAction(this.page, actionName);
+        return {
+            content: [
+                {
+                    type: 'text',
+                    text: `Object action ${actionName} executed`
+                }
+            ]
+        };
+    }
+
+    async fillFormField(fieldName, value) {
+        const matchedField = await pageActions.fillFormField(this.page, fieldName, value);
+        return {
+            content: [
+                {
+                    type: 'text',
+                    text: `Field ${matchedField.label || matchedField.fieldName} filled with: ${value}`
+                }
+            ]
+        };
+    }
+
+    async getFormFields() {
+        const fields = await this.page.evaluate(() => {
+            const formFields = [];
+            const inputs = Array.from(document.querySelectorAll('input[type="text"], input[type="number"], input[type="email"], input[type="tel"], textarea, select'))
+                .filter(input => !input.id.includes('FilterField') && !input.closest('.sapUiMdcFilterBar, .sapMFilterBar'));
+            inputs.forEach((input) => {
+                const field = {
+                    id: input.id,
+                    name: input.name,
+                    type: input.type || 'text',
+                    required: input.hasAttribute('required') || input.getAttribute('aria-required') === 'true',
+                    placeholder: input.placeholder || '',
+                    value: input.value || '',
+                    selector: input.id ? `#${CSS.escape(input.id)}` : '',
+                    label: '',
+                    fieldName: ''
+                };
+                // Associated label
+                const label = (input.getAttribute('aria-labelledby') && document.getElementById(input.getAttribute('aria-labelledby'))) ||
+                              input.closest('.sapUiFormCLElement')?.querySelector('.sapMLabel') ||
+                              document.querySelector(`label[for="${input.id}"]`);
+                if (label) {
+                    field.label = (label.textContent || '').trim().replace(/[:：]$/, '');
+                }
+                // Field name guess
+                if (field.id) {
+                    const idParts = field.id.split('::');
+                    const lastPart = idParts[idParts.length - 1] || field.id;
+                    field.fieldName = (field.label || lastPart).toLowerCase().replace(/[-_s]/g, '');
+                } else {
+                    field.fieldName = (field.label || '').toLowerCase().replace(/[-_s]/g, '');
+                }
+                formFields.push(field);
+            });
+            return formFields;
+        });
+        return {
+            content: [
+                {
+                    type: 'text',
+                    text: JSON.stringify({ formFields: fields }, null, 2)
+                }
+            ]
+        };
+    }
+
+    async getFilterFields() {
+        const fields = await this.page.evaluate(() => {
+            const filterFields = [];
+            
+            // Find all filter fields specifically in FilterBar
+            const filterInputs = Array.from(document.querySelectorAll('.sapUiMdcFilterBar input, .sapMFilterBar input, [id*="FilterField"] input'));
+            
+            filterInputs.forEach((input) => {
+                const field = {
+                    id: input.id,
+                    name: input.name,
+                    type: input.type || 'text',
+                    required: input.hasAttribute('required') || input.getAttribute('aria-required') === 'true',
+                    placeholder: input.placeholder || '',
+                    value: input.value || '',
+                    selector: input.id ? `#${CSS.escape(input.id)}` : '',
+                    label: '',
+                    fieldName: ''
+                };
+                
+                // Try to find the label for this filter field
+                const label = input.getAttribute('aria-labelledby') ? 
+                    document.getElementById(input.getAttribute('aria-labelledby')) : 
+                    input.closest('.sapUiMdcFilterField, .sapMFilterField')?.querySelector('label, .sapMLabel');
+                
+                if (label) {
+                    const labelText = label.textContent?.trim() || '';
+                    field.label = labelText.replace(/[:：]$/, ''); // Remove trailing colon
+                    field.fieldName = field.label.toLowerCase().replace(/\s+/g, '');
+                }
+                
+                // Generate a field name from ID if no label found
+                if (!field.fieldName && input.id) {
+                    const idParts = input.id.split('::');
+                    const lastPart = idParts[idParts.length - 1] || input.id;
+                    field.fieldName = lastPart.toLowerCase().replace(/[-_s]/g, '');
+                }
+                
+                filterFields.push(field);
+            });
+            
+            return filterFields;
+        });
+        
+        return {
+            content: [
+                {
+                    type: 'text',
+                    text: JSON.stringify({ filterFields: fields }, null, 2)
+                }
+            ]
+        };
+    }
+
+    async setFilter(propertyKey, value) {
+        const filters = this.appFilters();
+        
+        // Normalize the search term for flexible matching
+        const normalize = (str) => (str || '').toLowerCase().replace(/[-_s]/g, '');
+        const searchTerm = normalize(propertyKey);
+        
+        // Try to find the filter by multiple criteria
+        let filter = filters.find(f => 
+            normalize(f.propertyKey) === searchTerm ||
+            normalize(f.label) === searchTerm ||
+            normalize(f.propertyKey).includes(searchTerm) ||
+            normalize(f.label).includes(searchTerm)
+        );
+        
+        if (!filter) {
+            // If not found, return available filters for user reference
+            const availableFilters = filters.map(f => ({
+                propertyKey: f.propertyKey,
+                label: f.label
+            }));
+            
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: `Filter not found: ${propertyKey}\n\nAvailable filters:\n${availableFilters.map(f => `- ${f.propertyKey} (${f.label})`).join('\n')}\n\nPlease use one of the property keys above.`
+                    }
+                ],
+                isError: true
+            };
+        }
+        
+        await pageActions.setFilter(this.page, filter, value);
+        
+        return {
+            content: [
+                {
+                    type: 'text',
+                    text: `Filter ${filter.label} (${filter.propertyKey}) set to ${value}`
+                }
+            ]
+        };
+    }
+
+    async submitForm() {
+        const saveSelectors = [
+            'button[data-sap-ui*="Save"]',
+            'button[data-sap-ui*="Create"]', 
+            'button[data-sap-ui*="save"]',
+            'button[data-sap-ui*="create"]',
+            '.sapMBtn:has-text("Save")',
+            '.sapMBtn:has-text("Create")',
+            'button:has-text("Save")',
+            'button:has-text("Create")'
+        ];
+        
+        for (const selector of saveSelectors) {
+            try {
+                const button = await this.page.$(selector);
+                if (button) {
+                    await button.click();
+                    // Wait for the save request and any validation/messages to render
+                    await this.waitForIdle();
+
+                    // Detect UI5 Message Popover messages dynamically
+                    const messages = await this.page.evaluate(() => {
+                        const results = [];
+                        const container = document.querySelector('.sapMMsgView, [id$="messagePopover-popover-cont"], .sapMMessageView');
+                        if (!container) return results;
+
+                        const items = container.querySelectorAll('.sapMMsgViewItem, li.sapMMsgViewItem, li.sapMLIB');
+                        items.forEach((li) => {
+                            const textEl = li.querySelector('.sapMLnkText, .sapMSLITitleOnly, .sapMSLITitleOnly span, a .sapMLnkText') || li.querySelector('a, span');
+                            const text = (textEl?.textContent || '').replace(/\u00A0/g, ' ').trim();
+                            const cls = li.className || '';
+                            let severity = 'Information';
+                            if (cls.includes('Error')) severity = 'Error';
+                            else if (cls.includes('Warning')) severity = 'Warning';
+                            else if (cls.includes('Success')) severity = 'Success';
+                            results.push({ severity, text });
+                        });
+                        return results;
+                    });
+
+                    if (Array.isArray(messages) && messages.length > 0) {
+                    return {
+                        content: [
+                                { type: 'text', text: 'Form submission returned messages' },
+                                { type: 'text', text: JSON.stringify({ messages }, null, 2) }
+                            ]
+                        };
+                    }
+
+                    return {
+                        content: [
+                            { type: 'text', text: 'Form submitted successfully' }
+                        ]
+                    };
+                }
+            } catch (e) {
+                // Continue to next selector
+            }
+        }
+        
+        throw new Error('No submit button found');
+    }
+
+    async discardDraft() {
+        const cancelSelectors = [
+            'button[data-sap-ui*="StandardAction::Cancel"]',
+            'button[data-sap-ui*="Cancel"]',
+            'button[data-sap-ui*="cancel"]',
+            '.sapMBtn:has-text("Discard Draft")',
+            'button:has-text("Discard Draft")',
+            '.sapMBtn:has-text("Cancel")',
+            'button:has-text("Cancel")'
+        ];
+
+        for (const selector of cancelSelectors) {
+            try {
+                const button = await this.page.$(selector);
+                if (button) {
+                    await button.click();
+                    return {
+                        content: [
+                            {
+                                type: 'text',
+                                text: 'Draft discarded successfully'
+                            }
+                        ]
+                    };
+                }
+            } catch (e) {
+                // continue trying other selectors
+            }
+        }
+
+        throw new Error('No discard/cancel button found');
+    }
+
+    async closeApp() {
+        if (this.options.getBrowser) {
+            // Shared browser: only this session's context is ours to close
+            if (this.context) await this.context.close().catch(() => {});
+        } else if (this.browser) {
+            await this.browser.close();
+        }
+        this.browser = null;
+        this.context = null;
+        this.page = null;
+        
+        return {
+            content: [
+                {
+                    type: 'text',
+                    text: 'Application closed'
+                }
+            ]
+        };
+    }
+}
+
+module.exports = { FioriSession, launchBrowser };
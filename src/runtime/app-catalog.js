@@ -0,0 +1,42 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Loads app metadata files written by `generate-mcp-server.js --metadata` into { id: appMetadata }.
+ * Each entry of paths may be a .json file or a directory of them; the id is the file name without .json.
+ */
+function loadAppCatalog(paths) {
+    const files = [];
+    for (const entry of paths) {
+        const resolved = path.resolve(process.cwd(), entry);
+        if (!fs.existsSync(resolved)) throw new Error(`App metadata not found: ${resolved}`);
+        if (fs.statSync(resolved).isDirectory()) {
+            fs.readdirSync(resolved)
+                .filter((name) => name.endsWith('.json'))
+                .sort()
+                .forEach((name) => files.push(path.join(resolved, name)));
+        } else {
+            files.push(resolved);
+        }
+    }
+
+    const apps = {};
+    for (const file of files) {
+        let appMetadata;
+        try {
+            appMetadata = JSON.parse(fs.readFileSync(file, 'utf-8'));
+        } catch (e) {
+            throw new Error(`Invalid app metadata ${file}: ${e.message}`);
+        }
+        if (!appMetadata || typeof appMetadata.url !== 'string') {
+            throw new Error(`App metadata ${file} has no url; write it with generate-mcp-server.js --metadata`);
+        }
+        const id = path.basename(file, '.json');
+        if (apps[id]) throw new Error(`Duplicate app id ${id} (${file})`);
+        apps[id] = appMetadata;
+    }
+    if (!Object.keys(apps).length) throw new Error('No app metadata files found in ' + paths.join(', '));
+    return apps;
+}
+
+module.exports = { loadAppCatalog };
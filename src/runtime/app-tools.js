@@ -0,0 +1,172 @@
+/**
+ * App-specific tool surface derived from the extracted app metadata:
+ * typed argument schemas for the generic tools and one tool per discovered action.
+ */
+
+// Per-app argument schemas for ListTools, taken from the scraped UI and the service metadata
+function buildInputSchemas(appMetadata) {
+    const metadata = appMetadata || {};
+    const odata = metadata.odata;
+    const unique = (values) => [...new Set(values.filter(Boolean))];
+    const entityTypeFor = (template) => {
+        const page = odata?.pages.find((p) => p.template === template);
+        return page ? odata.entityTypes[odata.entitySets[page.entitySet]] : null;
+    };
+    const listType = entityTypeFor('ListReport');
+    const objectType = entityTypeFor('ObjectPage') || listType;
+    const valueHint = (property) => {
+        const type = property?.type || '';
+        if (property?.valueList) return 'code from the value help';
+        if (type === 'Edm.TimeOfDay' || type === 'Edm.Time') return 'time (HH:mm:ss)';
+        if (/Date/.test(type)) return 'date (YYYY-MM-DD)';
+        if (/Int|Decimal|Double|Single|Byte/.test(type)) return 'number';
+        if (type === 'Edm.Boolean') return 'boolean (true/false)';
+        return 'text';
+    };
+    const schemas = {};
+
+    const filters = (metadata.filters || []).filter((f) => f.propertyKey);
+    if (filters.length) {
+        const formats = filters.map((f) => {
+            const property = listType?.properties.find((p) => p.name === f.propertyKey);
+            return `${f.propertyKey}: ${valueHint(property)}`;
+        });
+        schemas.set_filter = {
+            propertyKey: { enum: unique(filters.map((f) => f.propertyKey)) },
+            value: { description: `The value to set for the filter. Formats per filter: ${unique(formats).join('; ')}` }
+        };
+    }
+
+    const tableActions = unique((metadata.tables || []).flatMap((t) => (t.actions || []).map((a) => a.text)));
+    if (tableActions.length) {
+        schemas.execute_action = { action: { enum: tableActions } };
+        schemas.execute_table_action = { action: { enum: tableActions } };
+    }
+
+    if (objectType) {
+        // Draft roots get the standard Edit/Delete header buttons next to the annotated actions
+        const standard = objectType.keys.includes('IsActiveEntity') ? ['Edit', 'Delete'] : [];
+        const annotated = objectType.identification.filter((r) => r.type === 'DataFieldForAction').map((r) => r.label);
+        const objectActions = unique([...standard, ...annotated]);
+        if (objectActions.length) {
+            schemas.execute_object_action = { action: { enum: objectActions } };
+        }
+
+        const fields = Object.values(objectType.fieldGroups).flatMap((group) => group.fields)
+            .map((record) => {
+                const property = objectType.properties.find((p) => p.name === record.value);
+                return property ? { ...property, label: record.label || property.label || property.name } : null;
+            })
+            .filter(Boolean);
+        if (fields.length) {
+            schemas.fill_form_field = {
+                fieldName: { enum: unique(fields.map((f) => f.label)) },
+                value: { description: `Value to fill. Formats per field: ${unique(fields.map((f) => `${f.label}: ${valueHint(f)}${f.mandatory ? ' (mandatory)' : ''}`)).join('; ')}` }
+            };
+        }
+    }
+
+    return schemas;
+}
+
+// One named tool per discovered table toolbar / object page action
+function buildActionTools(appMetadata) {
+    const metadata = appMetadata || {};
+    const odata = metadata.odata;
+    const slug = (str) => (str || '').replace(/([a-z0-9])([A-Z])/g, '$1_$2').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+    const pageFor = (template) => odata?.pages.find((p) => p.template === template) || null;
+    const entityTypeOf = (page) => (page ? odata.entityTypes[odata.entitySets[page.entitySet]] || null : null);
+    const listPage = pageFor('ListReport');
+    const objectPage = pageFor('ObjectPage') || listPage;
+    const listType = entityTypeOf(listPage);
+    const objectType = entityTypeOf(objectPage);
+    // DataFieldForAction records carry the button label and the qualified action name
+    const boundAction = (entityType, label) => {
+        // Partial metadata (a record without its action, an entity type without lists) only costs the action's details
+        const record = entityType && [...(entityType.lineItem || []), ...(entityType.identification || [])]
+            .find((r) => r && r.type === 'DataFieldForAction' && r.label === label);
+        const name = record && typeof record.action === 'string' ? record.action.split('(')[0].split('.').pop() : null;
+        return name ? (entityType.actions || []).find((a) => a.name === name) || null : null;
+    };
+    const tools = [];
+    const addTool = (target, label, entitySet, entityType, standard) => {
+        if (!slug(label)) return;
+        const entity = slug(entitySet);
+        let name = 'action_' + slug(label);
+        if (entity && !name.endsWith(entity) && !name.includes('_' + entity + '_')) name += '_' + entity;
+        if (tools.some((t) => t.name === name)) name += '_' + target;
+        if (tools.some((t) => t.name === name)) return;
+
+        const action = standard ? null : boundAction(entityType, label);
+        // Create works on an empty selection; Delete and bound table actions act on the selected rows
+        const requiresSelection = target === 'table'
+            ? (standard ? /delete/i.test(label) : !!action || null)
+            : false;
+        const parameters = (action?.parameters || []).map((p) => ({
+            name: p.name,
+            label: p.label || p.name,
+            type: p.type,
+            mandatory: !p.nullable
+        }));
+        const where = target === 'table' ? 'table toolbar' : 'object page header';
+        const needs = requiresSelection === true ? ' Select the target row(s) with select_row or select_rows first.' : '';
+        const dialog = parameters.length
+            ? ' Opens a dialog asking for ' + parameters.map((p) => p.label + (p.mandatory ? ' (mandatory)' : '')).join(', ') + '; values passed here are filled in, then confirm with execute_dialog_action.'
+            : '';
+        tools.push({
+            name,
+            target,
+            label,
+            description: 'Press "' + label + '" on the ' + where + (entitySet ? ' of ' + entitySet : '') + '.' + needs + dialog,
+            requiresSelection,
+            parameters
+        });
+    };
+
+    (metadata.tables || []).forEach((table) => {
+        (table.actions || []).forEach((a) => addTool('table', a.text, listPage?.entitySet, listType, a.standard));
+    });
+    if (objectType) {
+        if ((objectType.keys || []).includes('IsActiveEntity')) {
+            addTool('object', 'Edit', objectPage.entitySet, objectType, true);
+            addTool('object', 'Delete', objectPage.entitySet, objectType, true);
+        }
+        (objectType.identification || [])
+            .filter((r) => r && r.type === 'DataFieldForAction' && r.label)
+            .forEach((r) => addTool('object', r.label, objectPage.entitySet, objectType, false));
+    }
+
+    return tools;
+}
+
+// Narrows the generic tool arguments to this app's filter keys, actions and value formats
+function applyInputSchemas(tools, inputSchemas) {
+    return tools.map((tool) => {
+        const overrides = inputSchemas[tool.name];
+        if (!overrides) return tool;
+        const properties = { ...tool.inputSchema.properties };
+        Object.entries(overrides).forEach(([key, override]) => {
+            properties[key] = { ...properties[key], ...override };
+        });
+        return { ...tool, inputSchema: { ...tool.inputSchema, properties } };
+    });
+}
+
+function actionToolDefinitions(actionTools) {
+    return actionTools.map((tool) => {
+        const properties = {};
+        tool.parameters.forEach((p) => {
+            properties[p.name] = {
+                type: 'string',
+                description: p.label + ' (' + p.type + ')' + (p.mandatory ? ', mandatory in the dialog' : '')
+            };
+        });
+        return {
+            name: tool.name,
+            description: tool.description,
+            inputSchema: { type: 'object', properties, required: [] }
+        };
+    });
+}
+
+module.exports = { buildInputSchemas, buildActionTools, applyInputSchemas, actionToolDefinitions };
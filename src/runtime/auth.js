@@ -0,0 +1,201 @@
+const fs = require('fs');
+const path = require('path');
+const { getConfig } = require('./config');
+
+// Password fields plus the username-first pages of SAP IAS / ABAP logon
+const LOGIN_PAGE_SELECTOR = [
+    'input[type="password"]',
+    'input[name="j_username"]',
+    'input[name="sap-user"]',
+    '#logOnForm',
+    'form[action*="saml2"]'
+].join(', ');
+
+// Where login.js saves the Playwright storageState and the servers pick it up again
+function storageStatePath() {
+    return path.resolve(process.cwd(), getConfig().auth.storageState);
+}
+
+// newContext() options that restore the saved session, if there is one
+function storageStateOptions() {
+    const statePath = storageStatePath();
+    return fs.existsSync(statePath) ? { storageState: statePath } : {};
+}
+
+async function saveStorageState(context, statePath = storageStatePath()) {
+    fs.mkdirSync(path.dirname(statePath), { recursive: true });
+    await context.storageState({ path: statePath });
+    return statePath;
+}
+
+/**
+ * Credentials for unattended logins: LOGIN_USER / LOGIN_PASSWORD (and LOGIN_CLIENT for the ABAP sap-client),
+ * otherwise the JSON file at auth.credentialsFile / LOGIN_CREDENTIALS (default .auth/credentials.json) with { username, password, client }.
+ * Returns null when neither is configured.
+ */
+function loadCredentials() {
+    if (process.env.LOGIN_USER && process.env.LOGIN_PASSWORD) {
+        return { username: process.env.LOGIN_USER, password: process.env.LOGIN_PASSWORD, client: process.env.LOGIN_CLIENT || null };
+    }
+    const filePath = path.resolve(process.cwd(), getConfig().auth.credentialsFile);
+    if (!fs.existsSync(filePath)) return null;
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    } catch (e) {
+        throw new Error(`Invalid credentials file ${filePath}: ${e.message}`);
+    }
+    if (!data.username || !data.password) {
+        throw new Error(`Credentials file ${filePath} needs "username" and "password"`);
+    }
+    return { username: data.username, password: data.password, client: data.client || null };
+}
+
+/**
+ * Client certificates (X.509) per origin for systems that require mutual TLS, read from the JSON file at
+ * auth.clientCertificates / CLIENT_CERTIFICATES (default .auth/client-certificates.json):
+ * [{ "origin": "https://s4.example.com", "pfxPath": "certs/me.pfx", "passphraseEnv": "S4_PFX_PASSPHRASE" },
+ *  { "origin": "https://erp.example.com:44300", "certPath": "certs/me.crt", "keyPath": "certs/me.key" }]
+ * Paths are relative to the file; passphraseEnv keeps the passphrase out of it.
+ */
+function loadClientCertificates() {
+    const filePath = path.resolve(process.cwd(), getConfig().auth.clientCertificates);
+    if (!fs.existsSync(filePath)) return [];
+    let entries;
+    try {
+        entries = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    } catch (e) {
+        throw new Error(`Invalid client certificate file ${filePath}: ${e.message}`);
+    }
+    if (!Array.isArray(entries)) {
+        throw new Error(`Client certificate file ${filePath} must contain an array`);
+    }
+    const resolvePath = (p) => (p ? path.resolve(path.dirname(filePath), p) : undefined);
+    return entries.map((entry, index) => {
+        if (!entry.origin || !(entry.pfxPath || (entry.certPath && entry.keyPath))) {
+            throw new Error(`Client certificate ${index} in ${filePath} needs "origin" and either "pfxPath" or "certPath" and "keyPath"`);
+        }
+        const certificate = { origin: entry.origin };
+        for (const key of ['pfxPath', 'certPath', 'keyPath']) {
+            const resolved = resolvePath(entry[key]);
+            if (!resolved) continue;
+            if (!fs.existsSync(resolved)) {
+                throw new Error(`Client certificate for ${entry.origin}: ${key} not found: ${resolved}`);
+            }
+            certificate[key] = resolved;
+        }
+        const passphrase = entry.passphraseEnv ? process.env[entry.passphraseEnv] : entry.passphrase;
+        if (passphrase) certificate.passphrase = passphrase;
+        return certificate;
+    });
+}
+
+// newContext() options that present the configured client certificates
+function clientCertificateOptions() {
+    const clientCertificates = loadClientCertificates();
+    return clientCertificates.length ? { clientCertificates } : {};
+}
+
+// newContext() options for every browser context: the saved session, client certificates and basic auth answers for 401 challenges
+function authContextOptions() {
+    const credentials = loadCredentials();
+    return {
+        ...storageStateOptions(),
+        ...clientCertificateOptions(),
+        ...(credentials ? { httpCredentials: { username: credentials.username, password: credentials.password } } : {})
+    };
+}
+
+// Logon pages we know how to fill; the first whose marker is on the page wins
+const LOGIN_FORMS = [
+    {
+        name: 'ABAP logon page',
+        marker: 'input[name="sap-user"]',
+        client: 'input[name="sap-client"]',
+        username: 'input[name="sap-user"]',
+        password: 'input[name="sap-password"]',
+        submit: '#LOGON_BUTTON, button[type="submit"], input[type="submit"]'
+    },
+    {
+        // IAS may ask for the user first and show the password field after "Continue"
+        name: 'SAP IAS logon page',
+        marker: 'input[name="j_username"]',
+        username: 'input[name="j_username"]',
+        password: 'input[name="j_password"]',
+        submit: '#logOnFormSubmit, button[type="submit"]'
+    },
+    {
+        name: 'SAML logon form',
+        marker: 'input[type="password"]',
+        username: 'input[type="email"], input[name="username"], input[name="login"], input[type="text"]',
+        password: 'input[type="password"]',
+        submit: 'button[type="submit"], input[type="submit"]'
+    }
+];
+
+/**
+ * Fills and submits the logon form shown on page. Each step is named in the error it throws,
+ * so a changed IdP page reports e.g. 'Login step "fill password" failed on SAP IAS logon page: ...'.
+ */
+async function scriptedLogin(page, credentials, { timeout = 30000 } = {}) {
+    let form = null;
+    const step = async (name, fn) => {
+        try {
+            return await fn();
+        } catch (e) {
+            throw new Error(`Login step "${name}" failed${form ? ' on ' + form.name : ''}: ${e.message.split('\n')[0]}`);
+        }
+    };
+    const visible = (selector) => page.locator(selector.split(',').map((part) => part.trim() + ':visible').join(', ')).first();
+
+    await step('detect logon form', async () => {
+        for (const candidate of LOGIN_FORMS) {
+            if (await page.locator(candidate.marker).count()) {
+                form = candidate;
+                return;
+            }
+        }
+        throw new Error('no known logon form on ' + page.url());
+    });
+
+    if (form.client && credentials.client) {
+        await step('fill client', async () => {
+            const field = visible(form.client);
+            if (await field.count()) await field.fill(String(credentials.client), { timeout });
+        });
+    }
+    await step('fill username', () => visible(form.username).fill(credentials.username, { timeout }));
+    await step('fill password', async () => {
+        const password = visible(form.password);
+        if (!(await password.count())) {
+            // Username-first page: continue to the password page
+            await visible(form.submit).click({ timeout });
+        }
+        await visible(form.password).fill(credentials.password, { timeout });
+    });
+    await step('submit', () => Promise.all([
+        page.waitForNavigation({ waitUntil: 'domcontentloaded', timeout }),
+        visible(form.submit).click({ timeout })
+    ]));
+}
+
+function loginRequiredMessage() {
+    const statePath = storageStatePath();
+    const reason = fs.existsSync(statePath)
+        ? `the saved session in ${statePath} has expired`
+        : `no saved session found at ${statePath}`;
+    return `Login required: ${reason}. Run "node src/login.js --url <app url>" once to sign in and save it, or set LOGIN_USER/LOGIN_PASSWORD for a scripted login.`;
+}
+
+module.exports = {
+    LOGIN_PAGE_SELECTOR,
+    storageStatePath,
+    storageStateOptions,
+    saveStorageState,
+    loadCredentials,
+    loadClientCertificates,
+    clientCertificateOptions,
+    authContextOptions,
+    scriptedLogin,
+    loginRequiredMessage
+};
@@ -0,0 +1,165 @@
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG_FILE = 'fiori-mcp.config.json';
+const SCHEMA = require('../../fiori-mcp.config.schema.json');
+
+const DEFAULT_CONFIG = {
+    url: null,
+    debug: false,
+    browser: {
+        headless: null,
+        viewport: { width: 1920, height: 1080 },
+        locale: null
+    },
+    timeouts: {
+        defaultMs: 600000,
+        navigationMs: 600000,
+        startSettleMs: 30000,
+        toolSettleMs: 10000,
+        idleQuietMs: 300,
+        scanMs: 60000,
+        loginMs: 60000
+    },
+    auth: {
+        storageState: '.auth/storage-state.json',
+        credentialsFile: '.auth/credentials.json',
+        clientCertificates: '.auth/client-certificates.json'
+    },
+    server: {
+        port: 3000,
+        maxSessions: 10,
+        sessionIdleTimeoutMs: 15 * 60 * 1000
+    },
+    output: {
+        stdioServer: './generated-fiori-mcp-server.js',
+        httpServer: './generated-fiori-mcp-http-server.js',
+        scan: 'scan.json',
+        all: 'all.json'
+    },
+    safety: {
+        readOnly: false,
+        blockedActions: []
+    }
+};
+
+// Environment variables win over the file; values are parsed by the type of the setting they override
+const ENV_OVERRIDES = [
+    ['URL', 'url', 'string'],
+    ['DEBUG_MCP', 'debug', 'boolean'],
+    ['HEADLESS', 'browser.headless', 'boolean'],
+    ['LOCALE', 'browser.locale', 'string'],
+    ['STORAGE_STATE', 'auth.storageState', 'string'],
+    ['LOGIN_CREDENTIALS', 'auth.credentialsFile', 'string'],
+    ['CLIENT_CERTIFICATES', 'auth.clientCertificates', 'string'],
+    ['PORT', 'server.port', 'integer'],
+    ['MAX_SESSIONS', 'server.maxSessions', 'integer'],
+    ['SESSION_IDLE_TIMEOUT_MS', 'server.sessionIdleTimeoutMs', 'integer'],
+    ['READ_ONLY', 'safety.readOnly', 'boolean']
+];
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+// Checks value against the subset of JSON Schema the config schema uses; collects every problem
+function validate(value, schema, at, errors) {
+    const types = [].concat(schema.type || []);
+    const actual = typeOf(value);
+    if (types.length && !types.includes(actual) && !(actual === 'integer' && types.includes('number'))) {
+        errors.push(`${at || 'config'} must be ${types.join(' or ')}, got ${actual}`);
+        return errors;
+    }
+    if (actual === 'object') {
+        Object.entries(value).forEach(([key, child]) => {
+            const childSchema = schema.properties && schema.properties[key];
+            if (childSchema) {
+                validate(child, childSchema, at ? `${at}.${key}` : key, errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${at ? at + '.' : ''}${key} is not a known setting`);
+            }
+        });
+    }
+    if (actual === 'array' && schema.items) {
+        value.forEach((item, index) => validate(item, schema.items, `${at}[${index}]`, errors));
+    }
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at} must be >= ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at} must be <= ${schema.maximum}`);
+    }
+    return errors;
+}
+
+function merge(base, override) {
+    const out = { ...base };
+    Object.entries(override || {}).forEach(([key, value]) => {
+        out[key] = typeOf(value) === 'object' && typeOf(base[key]) === 'object' ? merge(base[key], value) : value;
+    });
+    return out;
+}
+
+function setPath(target, dotted, value) {
+    const keys = dotted.split('.');
+    const last = keys.pop();
+    keys.reduce((node, key) => node[key], target)[last] = value;
+}
+
+function schemaAt(dotted) {
+    return dotted.split('.').reduce((schema, key) => schema.properties[key], SCHEMA);
+}
+
+// Parses the variable and holds it to the same schema limits as the file (e.g. MAX_SESSIONS=0 is rejected)
+function envValue(name, dotted, type) {
+    const raw = process.env[name];
+    if (type === 'boolean') return raw === '1' || raw === 'true';
+    if (type === 'integer') {
+        const value = Number(raw);
+        if (!Number.isInteger(value)) throw new Error(`Invalid ${name}: expected an integer, got "${raw}"`);
+        const errors = validate(value, schemaAt(dotted), name, []);
+        if (errors.length) throw new Error(`Invalid environment variable: ${errors.join(', ')}, got ${value}`);
+        return value;
+    }
+    return raw;
+}
+
+/**
+ * Reads fiori-mcp.config.json (or the file named by FIORI_MCP_CONFIG), validates it against
+ * fiori-mcp.config.schema.json, fills in the defaults and applies the environment overrides.
+ * Relative paths in the result are relative to the working directory, as with the env variables.
+ */
+function loadConfig(configPath = process.env.FIORI_MCP_CONFIG || CONFIG_FILE) {
+    const filePath = path.resolve(process.cwd(), configPath);
+    let fileConfig = {};
+    if (fs.existsSync(filePath)) {
+        try {
+            fileConfig = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+        } catch (e) {
+            throw new Error(`Invalid ${filePath}: ${e.message}`);
+        }
+        const errors = validate(fileConfig, SCHEMA, '', []);
+        if (errors.length) throw new Error(`Invalid ${filePath}:\n- ${errors.join('\n- ')}`);
+    } else if (process.env.FIORI_MCP_CONFIG) {
+        throw new Error(`Config file not found: ${filePath}`);
+    }
+
+    const { $schema, ...settings } = fileConfig;
+    const config = merge(JSON.parse(JSON.stringify(DEFAULT_CONFIG)), settings);
+    ENV_OVERRIDES.forEach(([name, dotted, type]) => {
+        if (process.env[name] !== undefined && process.env[name] !== '') setPath(config, dotted, envValue(name, dotted, type));
+    });
+    config.file = fs.existsSync(filePath) ? filePath : null;
+    return config;
+}
+
+let cached = null;
+
+// The process-wide configuration, loaded on first use
+function getConfig() {
+    if (!cached) cached = loadConfig();
+    return cached;
+}
+
+module.exports = { CONFIG_FILE, DEFAULT_CONFIG, loadConfig, getConfig };
@@ -0,0 +1,296 @@
+const { randomUUID } = require('crypto');
+const { StreamableHTTPServerTransport } = require('@modelcontextprotocol/sdk/server/streamableHttp.js');
+const { isInitializeRequest } = require('@modelcontextprotocol/sdk/types.js');
+const express = require('express');
+const cors = require('cors');
+const { FioriSession, launchBrowser } = require('./FioriSession');
+const { createMcpServer } = require('./mcp-server');
+const { SessionPool } = require('./session-pool');
+const { getConfig } = require('./config');
+
+/**
+ * MCP server over Streamable HTTP plus a REST API for one Fiori app; the generated HTTP entry point only supplies appMetadata.
+ * Every MCP session and every REST session from POST /api/sessions drives its own page (in its own browser context)
+ * so several agents or test workers can work side by side. options.maxSessions and options.idleTimeoutMs
+ * (or server.maxSessions / server.sessionIdleTimeoutMs in fiori-mcp.config.json) bound the pool; options.apps hosts several apps at once.
+ */
+class FioriAppHTTPServer {
+    constructor(appMetadata, options = {}) {
+        this.appMetadata = appMetadata;
+        this.apps = options.apps || null;
+        this.browser = null;
+        this.browserLaunch = null;
+        this.pool = new SessionPool({
+            maxSessions: options.maxSessions,
+            idleTimeoutMs: options.idleTimeoutMs,
+            onExpire: (entry) => this.closeEntry(entry)
+        });
+        // /api/tools/:toolName is single-user: all its callers share this page, which is outside the pool
+        this.session = this.createSession();
+
+        this.setupHTTPServer();
+    }
+
+    createSession() {
+        return new FioriSession(this.appMetadata, { apps: this.apps, getBrowser: () => this.getBrowser() });
+    }
+
+    // One Chromium for the whole server; concurrent first calls wait for the same launch
+    async getBrowser() {
+        if (this.browser && this.browser.isConnected()) return this.browser;
+        if (!this.browserLaunch) {
+            this.browserLaunch = launchBrowser().finally(() => { this.browserLaunch = null; });
+        }
+        this.browser = await this.browserLaunch;
+        return this.browser;
+    }
+
+    // releaseSlot frees the slot reserved for this session; the pool entry takes it over once initialize succeeds
+    async openMcpSession(releaseSlot) {
+        const session = this.createSession();
+        const server = createMcpServer(session, 'fiori-app-http-server');
+        const transport = new StreamableHTTPServerTransport({
+            sessionIdGenerator: () => randomUUID(),
+            onsessioninitialized: (sessionId) => {
+                releaseSlot();
+                this.pool.add(sessionId, entry);
+            }
+        });
+        const entry = { type: 'mcp', transport, server, session };
+        // Fires on DELETE /mcp, idle expiry and transport errors
+        transport.onclose = () => {
+            if (transport.sessionId) this.pool.remove(transport.sessionId);
+            session.closeApp().catch(() => {});
+        };
+        await server.connect(transport);
+        return entry;
+    }
+
+    openRestSession() {
+        return this.pool.add(randomUUID(), { type: 'rest', session: this.createSession() });
+    }
+
+    async closeEntry(entry) {
+        if (entry.type === 'mcp') {
+            await entry.transport.close();
+        } else {
+            await entry.session.closeApp();
+        }
+    }
+
+    poolFullError() {
+        return `Session limit reached (${this.pool.maxSessions}); close a session or wait for one to expire`;
+    }
+
+    describeEntry(entry) {
+        return {
+            sessionId: entry.id,
+            type: entry.type,
+            createdAt: new Date(entry.createdAt).toISOString(),
+            lastUsedAt: new Date(entry.lastUsedAt).toISOString(),
+            expiresAt: new Date(entry.lastUsedAt + this.pool.idleTimeoutMs).toISOString(),
+            busy: entry.inUse > 0
+        };
+    }
+
+    async runTool(session, toolName, args, res) {
+        if (!session.hasTool(toolName)) {
+            return res.status(404).json({
+                error: `Unknown tool: ${toolName}`,
+                timestamp: new Date().toISOString()
+            });
+        }
+        try {
+            const result = await session.callTool(toolName, args || {});
+            res.json(result);
+        } catch (error) {
+            res.status(500).json({ 
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
+    // Express 4 ignores a rejected handler, which would leave the client waiting and the rejection unhandled
+    mcpRoute(handler) {
+        return (req, res) => handler(req, res).catch((error) => {
+            if (getConfig().debug) console.error(`[fiori-mcp] ${req.method} /mcp failed: ${error.message}`);
+            if (res.headersSent) return;
+            res.status(500).json({
+                jsonrpc: '2.0',
+                error: { code: -32603, message: error.message },
+                id: null
+            });
+        });
+    }
+
+    mcpEntry(sessionId) {
+        const entry = this.pool.get(sessionId);
+        return entry && entry.type === 'mcp' ? entry : null;
+    }
+
+    setupHTTPServer() {
+        this.app = express();
+        this.app.use(cors({ exposedHeaders: ['Mcp-Session-Id'] }));
+        this.app.use(express.json());
+
+        // Health check endpoint
+        this.app.get('/health', (req, res) => {
+            res.json({ 
+                status: 'healthy', 
+                server: 'fiori-app-http-server',
+                version: '1.0.0',
+                mcpSessions: this.pool.list('mcp').length,
+                restSessions: this.pool.list('rest').length,
+                maxSessions: this.pool.maxSessions,
+                timestamp: new Date().toISOString()
+            });
+        });
+
+        // MCP Streamable HTTP endpoint: initialize without a session id, then send the Mcp-Session-Id header
+        this.app.post('/mcp', this.mcpRoute(async (req, res) => {
+            const sessionId = req.headers['mcp-session-id'];
+            let entry = this.mcpEntry(sessionId);
+            if (!entry) {
+                if (sessionId || !isInitializeRequest(req.body)) {
+                    return res.status(sessionId ? 404 : 400).json({
+                        jsonrpc: '2.0',
+                        error: { code: -32000, message: sessionId ? 'Unknown MCP session: ' + sessionId : 'Missing Mcp-Session-Id header; send initialize first' },
+                        id: null
+                    });
+                }
+                // Taken before any await, so concurrent initialize requests cannot all pass the limit
+                const releaseSlot = this.pool.reserve();
+                if (!releaseSlot) {
+                    return res.status(503).json({
+                        jsonrpc: '2.0',
+                        error: { code: -32000, message: this.poolFullError() },
+                        id: null
+                    });
+                }
+                let created = null;
+                try {
+                    created = await this.openMcpSession(releaseSlot);
+                    await created.transport.handleRequest(req, res, req.body);
+                } finally {
+                    // An initialize that did not produce a session frees its slot and page
+                    releaseSlot();
+                    if (created && !created.transport.sessionId) this.closeEntry(created).catch(() => {});
+                }
+                return;
+            }
+            // Keeps the session from expiring while a long tool call streams its response
+            res.on('close', this.pool.acquire(entry.transport.sessionId));
+            await entry.transport.handleRequest(req, res, req.body);
+        }));
+
+        // GET opens the server-to-client SSE stream of a session, DELETE ends it
+        const sessionRequest = this.mcpRoute(async (req, res) => {
+            const entry = this.mcpEntry(req.headers['mcp-session-id']);
+            if (!entry) {
+                return res.status(404).json({
+                    jsonrpc: '2.0',
+                    error: { code: -32000, message: 'Unknown or missing MCP session' },
+                    id: null
+                });
+            }
+            this.pool.touch(entry.id);
+            await entry.transport.handleRequest(req, res);
+        });
+        this.app.get('/mcp', sessionRequest);
+        this.app.delete('/mcp', sessionRequest);
+
+        // Direct tool calls on the shared default session; concurrent clients use /api/sessions instead
+        this.app.post('/api/tools/:toolName', async (req, res) => {
+            await this.runTool(this.session, req.params.toolName, req.body, res);
+        });
+
+        // REST session pool: every session gets its own browser context
+        this.app.post('/api/sessions', (req, res) => {
+            if (this.pool.isFull()) {
+                return res.status(503).json({
+                    error: this.poolFullError(),
+                    timestamp: new Date().toISOString()
+                });
+            }
+            const entry = this.openRestSession();
+            res.status(201).json(this.describeEntry(entry));
+        });
+
+        this.app.get('/api/sessions', (req, res) => {
+            res.json({
+                maxSessions: this.pool.maxSessions,
+                idleTimeoutMs: this.pool.idleTimeoutMs,
+                sessions: this.pool.list().map((entry) => this.describeEntry(entry))
+            });
+        });
+
+        const restEntry = (req, res) => {
+            const entry = this.pool.get(req.params.sessionId);
+            if (!entry || entry.type !== 'rest') {
+                res.status(404).json({
+                    error: `Unknown session: ${req.params.sessionId}`,
+                    timestamp: new Date().toISOString()
+                });
+                return null;
+            }
+            return entry;
+        };
+
+        this.app.delete('/api/sessions/:sessionId', async (req, res) => {
+            const entry = restEntry(req, res);
+            if (!entry) return;
+            this.pool.remove(entry.id);
+            await this.closeEntry(entry).catch(() => {});
+            res.json({ sessionId: entry.id, closed: true });
+        });
+
+        this.app.post('/api/sessions/:sessionId/tools/:toolName', async (req, res) => {
+            const entry = restEntry(req, res);
+            if (!entry) return;
+            const release = this.pool.acquire(entry.id);
+            try {
+                await this.runTool(entry.session, req.params.toolName, req.body, res);
+            } finally {
+                release();
+            }
+        });
+
+        // List available tools (same descriptors as MCP tools/list)
+        this.app.get('/api/tools', (req, res) => {
+            res.json({ tools: this.session.listTools() });
+        });
+
+        // Server info endpoint
+        this.app.get('/api/info', (req, res) => {
+            res.json({
+                name: 'fiori-app-http-server',
+                version: '1.0.0',
+                description: 'HTTP MCP Server for Fiori Applications',
+                capabilities: ['tools'],
+                transport: 'Streamable HTTP',
+                endpoints: {
+                    mcp: '/mcp',
+                    health: '/health',
+                    tools: '/api/tools',
+                    toolCall: '/api/tools/:toolName',
+                    sessions: '/api/sessions',
+                    sessionToolCall: '/api/sessions/:sessionId/tools/:toolName'
+                }
+            });
+        });
+    }
+
+    async start(port = getConfig().server.port) {
+        this.app.listen(port, '0.0.0.0', () => {
+            console.log(`Fiori MCP HTTP Server running on port ${port}`);
+            console.log(`MCP endpoint: http://localhost:${port}/mcp`);
+            console.log(`Health check: http://localhost:${port}/health`);
+            console.log(`API info: http://localhost:${port}/api/info`);
+            console.log(`Available tools: http://localhost:${port}/api/tools`);
+            console.log(`Sessions: http://localhost:${port}/api/sessions (max ${this.pool.maxSessions}, idle timeout ${this.pool.idleTimeoutMs} ms)`);
+        });
+    }
+}
+
+module.exports = { FioriAppHTTPServer };
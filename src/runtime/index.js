@@ -0,0 +1,30 @@
+const { FioriSession, launchBrowser } = require('./FioriSession');
+const { createMcpServer } = require('./mcp-server');
+const { FioriAppServer } = require('./stdio-server');
+const { FioriAppHTTPServer } = require('./http-server');
+const { SessionPool } = require('./session-pool');
+const { loadAppCatalog } = require('./app-catalog');
+const { loadConfig, getConfig } = require('./config');
+const { waitForUi5Idle } = require('./ui5-idle');
+const { buildInputSchemas, buildActionTools, applyInputSchemas, actionToolDefinitions } = require('./app-tools');
+const { TOOLS, findTool, toolDefinitions } = require('./tool-registry');
+
+module.exports = {
+    FioriSession,
+    launchBrowser,
+    createMcpServer,
+    FioriAppServer,
+    FioriAppHTTPServer,
+    SessionPool,
+    loadAppCatalog,
+    loadConfig,
+    getConfig,
+    waitForUi5Idle,
+    buildInputSchemas,
+    buildActionTools,
+    applyInputSchemas,
+    actionToolDefinitions,
+    TOOLS,
+    findTool,
+    toolDefinitions
+};
@@ -0,0 +1,47 @@
+const { Server } = require('@modelcontextprotocol/sdk/server/index.js');
+const { CallToolRequestSchema, ListToolsRequestSchema } = require('@modelcontextprotocol/sdk/types.js');
+
+// MCP protocol handlers for one FioriSession; every transport connection gets its own Server
+function createMcpServer(session, name) {
+    const server = new Server(
+        {
+            name,
+            version: '1.0.0',
+        },
+        {
+            capabilities: {
+                tools: session.apps ? { listChanged: true } : {},
+            },
+        }
+    );
+
+    // Switching apps swaps the filter/action enums and per-action tools
+    session.onToolsChanged = () => {
+        server.sendToolListChanged().catch(() => {});
+    };
+
+    server.setRequestHandler(ListToolsRequestSchema, async () => {
+        return { tools: session.listTools() };
+    });
+
+    server.setRequestHandler(CallToolRequestSchema, async (request) => {
+        const { name: toolName, arguments: args } = request.params;
+        try {
+            return await session.callTool(toolName, args);
+        } catch (error) {
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: 'Error: ' + error.message
+                    }
+                ],
+                isError: true
+            };
+        }
+    });
+
+    return server;
+}
+
+module.exports = { createMcpServer };
@@ -0,0 +1,423 @@
+const { waitForUi5Idle } = require('./ui5-idle');
+const { tableOp } = require('./ui5-tables');
+
+/**
+ * The browser side of press_go, set_filter, fill_form_field, the row, selector and execute_*_action tools, shared by
+ * FioriSession and the specs of export-playwright.js. Each function is embedded there through toString(),
+ * so it may use nothing but waitForUi5Idle(page), tableOp(page, request) and the other functions of this module,
+ * which the spec defines as well.
+ */
+
+// The list report table: the first responsive table of a list report, else the first grid table
+async function primaryTable(page) {
+    const pick = (tables) => tables.find((t) => t.kind === 'responsive' && /-innerTable-listUl$/.test(t.tableListId)) ||
+        tables.find((t) => t.kind === 'grid');
+    let table = pick((await tableOp(page, { op: 'list' })).tables);
+    if (!table) {
+        // Right after start_app or a navigation the table may still be on its way
+        await page.locator("table[id$='-innerTable-listUl'], .sapUiTable").first().waitFor();
+        table = pick((await tableOp(page, { op: 'list' })).tables);
+    }
+    if (!table) throw new Error('No table found on the page');
+    return table;
+}
+
+// Scrolls a grid table row into the rendered range and waits for its data
+async function revealGridRow(page, rowIndex, tableId) {
+    const grids = (await tableOp(page, { op: 'list' })).tables.filter((table) => table.kind === 'grid');
+    const table = tableId ? grids.find((t) => t.tableId === tableId) : grids[0];
+    if (!table) throw new Error(tableId ? 'Not a sap.ui.table.Table: ' + tableId : 'No table found on the page');
+    if (table.totalCount !== null && rowIndex >= table.totalCount) throw new Error(`Row ${rowIndex} does not exist; ${table.tableId} has ${table.totalCount} rows`);
+    if (rowIndex < table.firstVisibleRow || rowIndex >= table.firstVisibleRow + table.visibleRowCount) {
+        await tableOp(page, { op: 'scroll', tableId: table.tableId, rowIndex });
+        await waitForUi5Idle(page);
+    }
+    return table;
+}
+
+// table: an entry of the table list ({ tableId, tableListId, kind }), by default the list report table
+async function selectRow(page, rowIndex, table) {
+    table = table || await primaryTable(page);
+    if (table.kind === 'grid') {
+        await revealGridRow(page, rowIndex, table.tableId);
+        await tableOp(page, { op: 'select', tableId: table.tableId, rowIndex });
+        await waitForUi5Idle(page);
+        return;
+    }
+    const list = page.locator(`[id="${table.tableListId}"]`);
+    await list.waitFor();
+    const row = list.locator('tbody tr.sapMListTblRow').nth(Math.max(0, rowIndex));
+    await row.locator("td[id$='-ModeCell'] [role='checkbox']").click();
+}
+
+async function openObjectPage(page, rowIndex, table) {
+    table = table || await primaryTable(page);
+    if (table.kind === 'grid') {
+        await revealGridRow(page, rowIndex, table.tableId);
+        await tableOp(page, { op: 'target', tableId: table.tableId, rowIndex });
+        await page.locator('[data-fiori-mcp-target="row"]').click();
+    } else {
+        const list = page.locator(`[id="${table.tableListId}"]`);
+        await list.waitFor();
+        const row = list.locator('tbody tr.sapMListTblRow').nth(Math.max(0, rowIndex));
+        await row.locator('td.sapMListTblNavCol .sapMLIBImgNav').click();
+    }
+    await Promise.race([
+        page.waitForSelector('.sapUxAPObjectPageLayout', { timeout: 60000 }),
+        page.waitForFunction(() => window.location.hash.includes('ObjectPage'), { timeout: 60000 })
+    ]);
+}
+
+// UI5-aware click: firePress() on the control when there is one, DOM click otherwise
+async function clickBySelector(page, selector) {
+    return page.evaluate((sel) => {
+        try {
+            const el = document.querySelector(sel);
+            if (!el) return { success: false, reason: 'Element not found' };
+            const id = el.id;
+            const ctrl = id ? (window.sap?.ui?.getCore?.().byId(id)) : null;
+            if (ctrl && typeof ctrl.firePress === 'function') {
+                ctrl.firePress();
+            } else {
+                el.click();
+            }
+            return { success: true, id: id || '' };
+        } catch (e) {
+            return { success: false, reason: e.message || 'Click failed' };
+        }
+    }, selector);
+}
+
+async function typeBySelector(page, selector, value) {
+    return page.evaluate(({ sel, val }) => {
+        try {
+            const el = document.querySelector(sel);
+            if (!el) return { success: false, reason: 'Element not found' };
+            if (!['INPUT', 'TEXTAREA'].includes(el.tagName)) {
+                return { success: false, reason: 'Element is not an input or textarea' };
+            }
+            el.focus();
+            el.select();
+            el.value = val;
+            el.dispatchEvent(new Event('input', { bubbles: true }));
+            el.dispatchEvent(new Event('change', { bubbles: true }));
+            return { success: true, id: el.id || '' };
+        } catch (e) {
+            return { success: false, reason: e.message || 'Type failed' };
+        }
+    }, { sel: selector, val: value });
+}
+
+async function pressGo(page) {
+    const pressed = await page.evaluate(() => {
+        try {
+            // Dynamic Go button detection - try multiple common patterns
+            const goButtonSelectors = [
+                // Common Fiori patterns
+                'button[id$="-btnSearch"]',
+                'button[id*="btnSearch"]',
+                'button[id$="-search"]',
+                'button[id*="search"]',
+                'button[id$="-go"]',
+                'button[id*="go"]',
+                'button[id$="-filter"]',
+                'button[id*="filter"]',
+                // Generic patterns
+                'button[title*="Search"]',
+                'button[title*="Go"]',
+                'button[aria-label*="Search"]',
+                'button[aria-label*="Go"]',
+                // Text-based patterns
+                'button:has-text("Go")',
+                'button:has-text("Search")',
+                'button:has-text("Apply")'
+            ];
+
+            let goButton = null;
+            for (const selector of goButtonSelectors) {
+                goButton = document.querySelector(selector);
+                if (goButton) break;
+            }
+
+            if (!goButton) {
+                console.warn('Go button not found with any selector');
+                return false;
+            }
+            const ctrl = window.sap?.ui?.getCore?.().byId(goButton.id);
+            if (ctrl && typeof ctrl.firePress === 'function') {
+                ctrl.firePress();
+            } else {
+                goButton.click();
+            }
+            return true;
+        } catch (e) {
+            console.warn('Error pressing Go button:', e.message);
+            return false;
+        }
+    });
+
+    // Wait for the table request and re-rendering to finish
+    await waitForUi5Idle(page);
+    await page.waitForSelector("table[id$='-innerTable-listUl'] tbody tr, .sapUiTable");
+
+    const noData = await page.evaluate(() => {
+        const noDataTitle = document.querySelector('.sapMIllustratedMessageMainContent .sapMTitle span');
+        return !!noDataTitle && noDataTitle.textContent.includes('No data');
+    });
+    // Wait for actual data to load (not just placeholder); grid tables are settled once UI5 is idle
+    if (!noData && await page.locator("table[id$='-innerTable-listUl']").count()) {
+        await page.waitForFunction(() => {
+            const tbl = document.querySelector("table[id$='-innerTable-listUl']");
+            if (!tbl) return false;
+            const rows = Array.from(tbl.querySelectorAll('tbody tr.sapMListTblRow'));
+            return rows.some((row) => row.querySelectorAll('td[data-sap-ui-column]').length > 0);
+        });
+    }
+    return { pressed, noData };
+}
+
+// filter: an all.json filter entry; its selectors say whether it is an input, a select or a plain filter field
+async function setFilter(page, filter, value) {
+    if (filter.selectors.inputCss) {
+        // Clear and fill the input field
+        await page.fill(filter.selectors.inputCss, '');
+        await page.fill(filter.selectors.inputCss, String(value));
+        // Trigger change events
+        await page.evaluate((selector) => {
+            const input = document.querySelector(selector);
+            if (input) {
+                input.dispatchEvent(new Event('input', { bubbles: true }));
+                input.dispatchEvent(new Event('change', { bubbles: true }));
+                input.dispatchEvent(new Event('blur', { bubbles: true }));
+            }
+        }, filter.selectors.inputCss);
+    } else if (filter.selectors.selectCss) {
+        await page.click(filter.selectors.selectCss);
+        await page.click(`.sapMPopupCont li:has-text("${value}")`);
+    } else {
+        await page.click(filter.selectors.filterFieldCss);
+        await page.keyboard.type(String(value));
+        // Trigger change events
+        await page.evaluate((selector) => {
+            const field = document.querySelector(selector);
+            if (field) {
+                field.dispatchEvent(new Event('change', { bubbles: true }));
+            }
+        }, filter.selectors.filterFieldCss);
+    }
+}
+
+// Types value into the form field whose name, label or id matches fieldName; object page fields win over the rest
+async function fillFormField(page, fieldName, value) {
+    // First, get all available form fields dynamically
+    const fields = await page.evaluate(() => {
+        const formFields = [];
+
+        // Find all input fields in forms (excluding filter fields)
+        const inputs = Array.from(document.querySelectorAll('input[type="text"], input[type="number"], input[type="email"], input[type="tel"], textarea, select'))
+            .filter(input => !input.id.includes('FilterField') && !input.closest('.sapUiMdcFilterBar, .sapMFilterBar'));
+
+        inputs.forEach((input) => {
+            const field = {
+                id: input.id,
+                name: input.name,
+                type: input.type || 'text',
+                required: input.required || false,
+                placeholder: input.placeholder || '',
+                value: input.value || '',
+                selector: input.id ? `#${CSS.escape(input.id)}` : '',
+                label: '',
+                fieldName: ''
+            };
+
+            // Try to find the label for this field
+            const label = input.getAttribute('aria-labelledby') ?
+                document.getElementById(input.getAttribute('aria-labelledby')) :
+                input.closest('.sapUiFormCLElement')?.querySelector('.sapMLabel') ||
+                input.previousElementSibling;
+
+            if (label) {
+                const labelText = label.textContent?.trim() || '';
+                field.label = labelText.replace(/[:：]$/, ''); // Remove trailing colon
+                field.fieldName = field.label.toLowerCase().replace(/\s+/g, '');
+            }
+
+            // Generate a field name from ID if no label found
+            if (!field.fieldName && input.id) {
+                const idParts = input.id.split('::');
+                const lastPart = idParts[idParts.length - 1];
+                field.fieldName = lastPart.toLowerCase().replace(/[-_]/g, '');
+            }
+
+            formFields.push(field);
+        });
+
+        return formFields;
+    });
+
+    const isObjectPage = await page.evaluate(() => {
+        return Boolean(document.querySelector('.sapUxAPObjectPageLayout, .sapFeCoreObjectPage, [id*="ObjectPage"]'));
+    });
+
+    // Find the matching field by name, label, or ID: exact name, exact label, then partial
+    const norm = (s) => (s || '').trim().toLowerCase().replace(/[:：]$/, '');
+    const target = norm(fieldName);
+    const findIn = (candidates) => candidates.find(f => norm(f.fieldName) === target) ||
+        candidates.find(f => norm(f.label) === target) ||
+        candidates.find(f =>
+            norm(f.fieldName).includes(target) ||
+            norm(f.label).includes(target) ||
+            norm(f.id).includes(target)
+        );
+    // On the object page its own fields are tried before any filter field
+    const matchedField = (isObjectPage && findIn(fields.filter(f => !f.id.includes('FilterField')))) || findIn(fields);
+
+    if (!matchedField) {
+        throw new Error(`Field not found: ${fieldName}`);
+    }
+
+    // Click, clear, and type into the specific input
+    const targetSelector = matchedField.selector;
+    await page.click(targetSelector, { force: true });
+    const handle = await page.$(targetSelector);
+    if (!handle) throw new Error(`Input not interactable for: ${fieldName}`);
+
+    await handle.evaluate((input) => {
+        if (input && typeof input.focus === 'function') input.focus();
+        // Clear value in a UI-friendly way
+        if (input && 'value' in input) {
+            if (typeof input.select === 'function') input.select();
+            else input.value = '';
+        }
+    });
+
+    await page.keyboard.type(String(value));
+
+    // Trigger events to ensure UI5 recognizes the change
+    await handle.evaluate((input) => {
+        if (input) {
+            input.dispatchEvent(new Event('input', { bubbles: true }));
+            input.dispatchEvent(new Event('change', { bubbles: true }));
+            input.dispatchEvent(new Event('blur', { bubbles: true }));
+        }
+    });
+    return matchedField;
+}
+
+// table ({ tableId, toolbarId } from the table list) limits the search to that table's toolbar and standard actions
+async function executeTableAction(page, action, table) {
+    const toolbar = table ? (table.toolbarId ? `[id="${table.toolbarId}"] ` : null) : 'div[role="toolbar"] ';
+    const actionPrefix = table ? table.tableId.replace(/-innerTable$/, '') : '';
+    const selectors = [
+        // Exact text/aria-label on toolbar buttons
+        ...(toolbar ? [toolbar + 'button:has-text("' + action + '")', toolbar + 'button[aria-label*="' + action + '"]'] : []),
+        // FE standard action IDs
+        'button[id*="' + actionPrefix + '::StandardAction::' + action + '"]',
+        'button[id*="' + actionPrefix + '::StandardAction::' + (action.charAt(0).toUpperCase() + action.slice(1).toLowerCase()) + '"]',
+        // Fallback: any button with text
+        ...(table ? [] : ['button:has-text("' + action + '")'])
+    ];
+
+    for (const sel of selectors) {
+        try {
+            const el = await page.$(sel);
+            if (el) {
+                await el.click();
+                await waitForUi5Idle(page);
+                return { success: true, selector: sel };
+            }
+        } catch (e) {
+            // try next selector
+        }
+    }
+    if (table && !toolbar) {
+        return { success: false, reason: 'Action not found: ' + action + '; ' + table.tableId + ' has no toolbar, only its FE standard actions were tried' };
+    }
+    return { success: false, reason: 'Action not found on toolbar: ' + action };
+}
+
+async function executeObjectAction(page, actionName) {
+    const clicked = await page.evaluate((actionName) => {
+        const containers = Array.from(document.querySelectorAll('[id$="--fe::ObjectPageDynamicHeaderTitle-mainActions"], .sapFDynamicPageTitleMainActions'));
+
+        for (const container of containers) {
+            const buttons = Array.from(container.querySelectorAll('button'));
+            for (const btn of buttons) {
+                const text = btn.textContent?.trim() || btn.getAttribute('aria-label') || '';
+                if (text.toLowerCase() === actionName.toLowerCase()) {
+                    const ctrl = window.sap?.ui?.getCore?.().byId(btn.id);
+                    if (ctrl && typeof ctrl.firePress === 'function') {
+                        ctrl.firePress();
+                    } else {
+                        btn.click();
+                    }
+                    return true;
+                }
+            }
+        }
+        return false;
+    }, actionName);
+
+    if (!clicked) {
+        throw new Error(`Object action not found: ${actionName}`);
+    }
+}
+
+// Presses the open dialog's button labelled action, then waits for the dialog to close and its request to finish
+async function executeDialogAction(page, action) {
+    const clicked = await page.evaluate((actionName) => {
+        try {
+            const targetLc = (actionName || '').toLowerCase().trim();
+            const dialog = document.querySelector('.sapMDialog.sapMDialogOpen');
+            if (!dialog) return { success: false, reason: 'No open dialog' };
+
+            function getButtonText(btn) {
+                const bdi = btn.querySelector('bdi');
+                const inner = btn.textContent || '';
+                const aria = btn.getAttribute('aria-label') || '';
+                const bdiText = bdi ? (bdi.textContent || '') : '';
+                return (bdiText || inner || aria).replace(/\u00A0/g, ' ').trim();
+            }
+
+            const buttons = Array.from(dialog.querySelectorAll('footer button, .sapMDialogFooter button, button'));
+            let match = null;
+            for (const btn of buttons) {
+                const txt = getButtonText(btn).toLowerCase();
+                if (!txt) continue;
+                if (txt === targetLc || txt.includes(targetLc)) { match = btn; break; }
+            }
+            if (!match) return { success: false, reason: 'Button not found' };
+
+            const ctrl = window.sap?.ui?.getCore?.().byId(match.id);
+            if (ctrl && typeof ctrl.firePress === 'function') {
+                ctrl.firePress();
+            } else {
+                match.click();
+            }
+            return { success: true, buttonId: match.id };
+        } catch (e) {
+            return { success: false, reason: e.message || 'Click failed' };
+        }
+    }, action);
+
+    if (clicked && clicked.success) {
+        // Dialog closing, the action's request and any message dialog it opens
+        await waitForUi5Idle(page);
+    }
+    return clicked || { success: false, reason: 'unknown' };
+}
+
+module.exports = {
+    primaryTable,
+    revealGridRow,
+    selectRow,
+    openObjectPage,
+    clickBySelector,
+    typeBySelector,
+    pressGo,
+    setFilter,
+    fillFormField,
+    executeTableAction,
+    executeObjectAction,
+    executeDialogAction
+};
@@ -0,0 +1,104 @@
+const { getConfig } = require('./config');
+
+/**
+ * Bookkeeping for the HTTP server's sessions (REST and MCP alike): a cap on how many may be open at once
+ * and an idle sweep that hands sessions unused for idleTimeoutMs to onExpire.
+ * Entries in use (see acquire) never expire, however long the tool call takes.
+ */
+class SessionPool {
+    constructor({ maxSessions, idleTimeoutMs, onExpire } = {}) {
+        this.maxSessions = maxSessions || getConfig().server.maxSessions;
+        this.idleTimeoutMs = idleTimeoutMs || getConfig().server.sessionIdleTimeoutMs;
+        this.onExpire = onExpire || (() => {});
+        this.entries = new Map();
+        this.reserved = 0;
+        this.sweeper = null;
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    isFull() {
+        return this.entries.size + this.reserved >= this.maxSessions;
+    }
+
+    // Holds a slot for a session still being set up (an MCP session only gets its id once initialize is handled).
+    // Returns null when the pool is full, else a release() to call once the entry is added or its setup failed
+    reserve() {
+        if (this.isFull()) return null;
+        this.reserved += 1;
+        let released = false;
+        return () => {
+            if (released) return;
+            released = true;
+            this.reserved -= 1;
+        };
+    }
+
+    add(id, entry) {
+        const now = Date.now();
+        Object.assign(entry, { id, createdAt: now, lastUsedAt: now, inUse: 0 });
+        this.entries.set(id, entry);
+        this.startSweeper();
+        return entry;
+    }
+
+    get(id) {
+        return id ? this.entries.get(id) || null : null;
+    }
+
+    remove(id) {
+        const entry = this.entries.get(id);
+        this.entries.delete(id);
+        if (!this.entries.size) this.stopSweeper();
+        return entry || null;
+    }
+
+    touch(id) {
+        const entry = this.entries.get(id);
+        if (entry) entry.lastUsedAt = Date.now();
+        return entry || null;
+    }
+
+    // Marks the entry busy until the returned release() is called
+    acquire(id) {
+        const entry = this.touch(id);
+        if (!entry) return () => {};
+        entry.inUse += 1;
+        let released = false;
+        return () => {
+            if (released) return;
+            released = true;
+            entry.inUse -= 1;
+            entry.lastUsedAt = Date.now();
+        };
+    }
+
+    list(type) {
+        return [...this.entries.values()].filter((entry) => !type || entry.type === type);
+    }
+
+    sweep() {
+        const now = Date.now();
+        for (const entry of [...this.entries.values()]) {
+            if (entry.inUse > 0 || now - entry.lastUsedAt < this.idleTimeoutMs) continue;
+            this.remove(entry.id);
+            Promise.resolve(this.onExpire(entry)).catch(() => {});
+        }
+    }
+
+    startSweeper() {
+        if (this.sweeper) return;
+        this.sweeper = setInterval(() => this.sweep(), Math.min(60000, this.idleTimeoutMs));
+        // Idle sessions must not keep the process alive
+        this.sweeper.unref();
+    }
+
+    stopSweeper() {
+        if (this.sweeper) clearInterval(this.sweeper);
+        this.sweeper = null;
+    }
+}
+
+module.exports = { SessionPool };
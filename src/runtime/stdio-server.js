@@ -0,0 +1,22 @@
+const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
+const { FioriSession } = require('./FioriSession');
+const { createMcpServer } = require('./mcp-server');
+
+/**
+ * MCP server over stdio for one Fiori app; the generated stdio entry point only supplies appMetadata.
+ * options.apps hosts several apps at once (see src/multi-app-server.js).
+ */
+class FioriAppServer {
+    constructor(appMetadata, options = {}) {
+        this.session = new FioriSession(appMetadata, { apps: options.apps });
+        this.server = createMcpServer(this.session, 'fiori-app-server');
+    }
+
+    async run() {
+        const transport = new StdioServerTransport();
+        await this.server.connect(transport);
+        console.error('Fiori MCP Server running on stdio');
+    }
+}
+
+module.exports = { FioriAppServer };
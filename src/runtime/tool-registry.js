@@ -0,0 +1,653 @@
+/**
+ * The single list of generic tools. Both servers list, document and dispatch from it,
+ * so MCP tools/list, /api/tools and /api/tools/:toolName always agree.
+ * `run` maps the tool arguments onto FioriSession; `requiresPage: false` marks tools usable before start_app,
+ * `multiApp: true` tools that are only listed when the session hosts several apps,
+ * `mutating: true` tools that change data and are refused under safety.readOnly.
+ */
+// Identifies a row by business key rather than position, so recorded flows survive sorting and paging
+const ROW_MATCH_SCHEMA = {
+    type: 'object',
+    description: 'Values the row must have, e.g. { "TravelID": "4711" }: column keys (as in get_table_rows) or bound properties. Exactly one loaded row must match; takes precedence over rowIndex',
+    additionalProperties: { type: ['string', 'number', 'boolean'] }
+};
+
+// Names one of several tables on the page; without it table tools use the list report table (or the first grid table)
+const TABLE_SCHEMA = {
+    type: 'string',
+    description: 'Table id from list_tables, the end of it (e.g. "fe::table::_Booking::LineItem") or the table title'
+};
+
+const TOOLS = [
+    {
+        name: 'start_app',
+        description: 'Start the Fiori application',
+        inputSchema: {
+            type: 'object',
+            properties: {},
+            required: []
+        },
+        requiresPage: false,
+        run: (session, args) => session.startApp(args.app)
+    },
+    {
+        name: 'list_apps',
+        description: 'List the Fiori apps this server can start. Pass an id as the app argument of start_app to switch; the filter, action and form field tools then follow the selected app.',
+        inputSchema: {
+            type: 'object',
+            properties: {},
+            required: []
+        },
+        requiresPage: false,
+        multiApp: true,
+        run: (session) => session.listApps()
+    },
+    {
+        name: 'press_go',
+        description: 'Press the Go button to refresh table data',
+        inputSchema: {
+            type: 'object',
+            properties: {},
+            required: []
+        },
+        run: (session) => session.pressGo()
+    },
+    {
+        name: 'get_table_rows',
+        description: 'Get current table rows data',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                raw: {
+                    type: 'boolean',
+                    description: 'Return each row\'s bound entity (typed values, hidden columns, keys) next to the displayed text'
+                },
+                offset: {
+                    type: 'number',
+                    description: 'First row to return (0-based, default 0)'
+                },
+                maxRows: {
+                    type: 'number',
+                    description: 'Rows to return; more are loaded through "More" or by scrolling when needed'
+                },
+                all: {
+                    type: 'boolean',
+                    description: 'Load and return every row of the result set (compare with totalCount)'
+                },
+                table: TABLE_SCHEMA
+            },
+            required: []
+        },
+        run: (session, args) => session.getTableRows({ raw: args.raw === true, offset: args.offset, maxRows: args.maxRows, all: args.all === true, table: args.table })
+    },
+    {
+        name: 'list_tables',
+        description: 'List the tables on the current page (list report views, object page sections) with id, title, section, row count and toolbar actions',
+        inputSchema: {
+            type: 'object',
+            properties: {},
+            required: []
+        },
+        run: (session) => session.listTables()
+    },
+    {
+        name: 'execute_action',
+        description: 'Execute an action on the table',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                action: {
+                    type: 'string',
+                    description: 'Action name to execute'
+                }
+            },
+            required: ['action']
+        },
+        mutating: true,
+        run: (session, args) => session.executeAction(args.action)
+    },
+    {
+        name: 'select_row',
+        description: 'Select a specific row in the table, by index or by matching values',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                rowIndex: {
+                    type: 'number',
+                    description: 'Row index to select (0-based)'
+                },
+                match: ROW_MATCH_SCHEMA,
+                table: TABLE_SCHEMA
+            },
+            required: []
+        },
+        run: (session, args) => session.selectRow(args.rowIndex, args.match, args.table)
+    },
+    {
+        name: 'select_rows',
+        description: 'Add several rows to the table selection, by indices and/or matching values, e.g. before a mass delete or approve',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                rowIndices: {
+                    type: 'array',
+                    items: { type: 'number' },
+                    description: 'Row indices to select (0-based)'
+                },
+                matches: {
+                    type: 'array',
+                    items: ROW_MATCH_SCHEMA,
+                    description: 'One match per row to select; each must match exactly one loaded row'
+                },
+                table: TABLE_SCHEMA
+            },
+            required: []
+        },
+        run: (session, args) => session.selectRows(args.rowIndices, args.matches, args.table)
+    },
+    {
+        name: 'select_all',
+        description: 'Select all rows of the table (responsive tables: the rows loaded so far)',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                table: TABLE_SCHEMA
+            },
+            required: []
+        },
+        run: (session, args) => session.selectAll(args.table)
+    },
+    {
+        name: 'clear_selection',
+        description: 'Deselect all rows of the table',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                table: TABLE_SCHEMA
+            },
+            required: []
+        },
+        run: (session, args) => session.clearSelection(args.table)
+    },
+    {
+        name: 'get_selection',
+        description: 'Get the selected rows of the table with their index, column texts and keys',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                table: TABLE_SCHEMA
+            },
+            required: []
+        },
+        run: (session, args) => session.getSelection(args.table)
+    },
+    {
+        name: 'open_object_page',
+        description: 'Open object page for a row, by index or by matching values',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                rowIndex: {
+                    type: 'number',
+                    description: 'Row index to open object page for (0-based)'
+                },
+                match: ROW_MATCH_SCHEMA,
+                table: TABLE_SCHEMA
+            },
+            required: []
+        },
+        run: (session, args) => session.openObjectPage(args.rowIndex, args.match, args.table)
+    },
+    {
+        name: 'expand_tree_node',
+        description: 'Expand or collapse a node of a tree or analytical table (sap.ui.table) and return the rows below it',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                rowIndex: {
+                    type: 'number',
+                    description: 'Row index of the node (0-based, as @index in get_table_rows)'
+                },
+                expand: {
+                    type: 'boolean',
+                    description: 'false collapses the node (default: true)'
+                }
+            },
+            required: ['rowIndex']
+        },
+        run: (session, args) => session.expandTreeNode(args.rowIndex, args.expand !== false)
+    },
+    {
+        name: 'scroll_table',
+        description: 'Scroll a grid table (sap.ui.table) so the given row is the first visible one and return the visible rows',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                rowIndex: {
+                    type: 'number',
+                    description: 'Row index to scroll to (0-based)'
+                }
+            },
+            required: ['rowIndex']
+        },
+        run: (session, args) => session.scrollTable(args.rowIndex)
+    },
+    {
+        name: 'sort_table',
+        description: 'Sort a table by one column through its personalization dialog; without column the sorting is removed',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                column: {
+                    type: 'string',
+                    description: 'Column property name or label'
+                },
+                descending: {
+                    type: 'boolean',
+                    description: 'Sort descending (default: ascending)'
+                },
+                table: TABLE_SCHEMA
+            },
+            required: []
+        },
+        run: (session, args) => session.sortTable(args.column, args.descending === true, args.table)
+    },
+    {
+        name: 'group_table',
+        description: 'Group a table by one column through its personalization dialog; without column the grouping is removed',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                column: {
+                    type: 'string',
+                    description: 'Column property name or label'
+                },
+                table: TABLE_SCHEMA
+            },
+            required: []
+        },
+        run: (session, args) => session.groupTable(args.column, args.table)
+    },
+    {
+        name: 'set_visible_columns',
+        description: 'Choose which columns a table shows, and in which order, through its personalization dialog; also reaches columns hidden by default',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                columns: {
+                    type: 'array',
+                    items: { type: 'string' },
+                    description: 'Property names or labels of the columns to show, in display order; all others are hidden'
+                },
+                table: TABLE_SCHEMA
+            },
+            required: ['columns']
+        },
+        run: (session, args) => session.setVisibleColumns(args.columns, args.table)
+    },
+    {
+        name: 'get_table_cell',
+        description: 'Read one table cell: its editor (input, value help, select, checkbox or text), value, editability and value state',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                rowIndex: {
+                    type: 'number',
+                    description: 'Row index (0-based)'
+                },
+                match: ROW_MATCH_SCHEMA,
+                column: {
+                    type: 'string',
+                    description: 'Column property key, as in get_table_rows'
+                },
+                table: TABLE_SCHEMA
+            },
+            required: ['column']
+        },
+        run: (session, args) => session.getTableCell(args.rowIndex, args.match, args.column, args.table)
+    },
+    {
+        name: 'set_table_cell',
+        description: 'Enter a value into an editable table cell (object page in edit mode): types into inputs and value helps, picks select options, sets checkboxes',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                rowIndex: {
+                    type: 'number',
+                    description: 'Row index (0-based)'
+                },
+                match: ROW_MATCH_SCHEMA,
+                column: {
+                    type: 'string',
+                    description: 'Column property key, as in get_table_rows'
+                },
+                value: {
+                    type: ['string', 'number', 'boolean'],
+                    description: 'Text to enter, option text to pick, or true/false for a checkbox'
+                },
+                table: TABLE_SCHEMA
+            },
+            required: ['column', 'value']
+        },
+        mutating: true,
+        run: (session, args) => session.setTableCell(args.rowIndex, args.match, args.column, args.value, args.table)
+    },
+    {
+        name: 'add_table_row',
+        description: 'Press the table\'s Create button to add an empty row inline (object page in edit mode) and return its index',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                table: TABLE_SCHEMA
+            },
+            required: []
+        },
+        mutating: true,
+        run: (session, args) => session.addTableRow(args.table)
+    },
+    {
+        name: 'get_object_actions',
+        description: 'Get available actions on object page',
+        inputSchema: {
+            type: 'object',
+            properties: {},
+            required: []
+        },
+        run: (session) => session.getObjectActions()
+    },
+    {
+        name: 'get_object_fields',
+        description: 'Read object page field label/value pairs dynamically',
+        inputSchema: {
+            type: 'object',
+            properties: {},
+            required: []
+        },
+        run: (session) => session.getObjectFields()
+    },
+    {
+        name: 'execute_object_action',
+        description: 'Execute an action on object page',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                action: {
+                    type: 'string',
+                    description: 'Action name to execute'
+                }
+            },
+            required: ['action']
+        },
+        mutating: true,
+        run: (session, args) => session.executeObjectAction(args.action)
+    },
+    {
+        name: 'fill_form_field',
+        description: 'Fill a form field',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                fieldName: {
+                    type: 'string',
+                    description: 'Field name to fill'
+                },
+                value: {
+                    type: 'string',
+                    description: 'Value to fill'
+                }
+            },
+            required: ['fieldName', 'value']
+        },
+        mutating: true,
+        run: (session, args) => session.fillFormField(args.fieldName, args.value)
+    },
+    {
+        name: 'get_form_fields',
+        description: 'List available form fields on current page',
+        inputSchema: {
+            type: 'object',
+            properties: {},
+            required: []
+        },
+        run: (session) => session.getFormFields()
+    },
+    {
+        name: 'get_filter_fields',
+        description: 'List available filter fields in the filter bar',
+        inputSchema: {
+            type: 'object',
+            properties: {},
+            required: []
+        },
+        run: (session) => session.getFilterFields()
+    },
+    {
+        name: 'get_table_actions',
+        description: 'Get available actions on the current table toolbar',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                table: TABLE_SCHEMA
+            },
+            required: []
+        },
+        run: (session, args) => session.getTableActions(args.table)
+    },
+    {
+        name: 'execute_table_action',
+        description: 'Execute an action on the current table toolbar',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                action: {
+                    type: 'string',
+                    description: 'Action name to execute (e.g., Create, Delete)'
+                },
+                table: TABLE_SCHEMA
+            },
+            required: ['action']
+        },
+        mutating: true,
+        run: (session, args) => session.executeTableAction(args.action, args.table)
+    },
+    {
+        name: 'execute_dialog_action',
+        description: 'Execute a button inside the currently open Fiori dialog (e.g., Update/Ok/Cancel)',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                action: {
+                    type: 'string',
+                    description: 'Button text or aria-label to click in the open dialog'
+                }
+            },
+            required: ['action']
+        },
+        mutating: true,
+        run: (session, args) => session.executeDialogAction(args.action)
+    },
+    {
+        name: 'set_filter',
+        description: 'Set a filter value by property key',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                propertyKey: {
+                    type: 'string',
+                    description: 'The property key of the filter field'
+                },
+                value: {
+                    type: 'string',
+                    description: 'The value to set for the filter'
+                }
+            },
+            required: ['propertyKey', 'value']
+        },
+        run: (session, args) => session.setFilter(args.propertyKey, args.value)
+    },
+    {
+        name: 'submit_form',
+        description: 'Submit the current form',
+        inputSchema: {
+            type: 'object',
+            properties: {},
+            required: []
+        },
+        mutating: true,
+        run: (session) => session.submitForm()
+    },
+    {
+        name: 'discard_draft',
+        description: 'Discard current draft (Cancel)',
+        inputSchema: {
+            type: 'object',
+            properties: {},
+            required: []
+        },
+        mutating: true,
+        run: (session) => session.discardDraft()
+    },
+    {
+        name: 'get_clickable_elements',
+        description: 'Discover visible clickable elements (buttons, links) with selectors. Returns array of elements with id, text, tag, role, enabled status, and CSS selector. Use this to find elements before clicking or highlighting them.',
+        inputSchema: {
+            type: 'object',
+            properties: {},
+            required: []
+        },
+        run: (session) => session.getClickableElements()
+    },
+    {
+        name: 'highlight_element',
+        description: 'Temporarily highlight an element by CSS selector to visually confirm the target. Use this to verify you have the right element before clicking.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                selector: { type: 'string', description: 'CSS selector of the element to highlight' },
+                durationMs: { type: 'number', description: 'Highlight duration in ms (default 1500)' }
+            },
+            required: ['selector']
+        },
+        run: (session, args) => session.highlightElement(args.selector, args.durationMs)
+    },
+    {
+        name: 'click_by_selector',
+        description: 'Click an element by CSS selector (UI5-aware). Automatically uses UI5 firePress() if available, otherwise DOM click.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                selector: { type: 'string', description: 'CSS selector of the element to click' }
+            },
+            required: ['selector']
+        },
+        mutating: true,
+        run: (session, args) => session.clickBySelector(args.selector)
+    },
+    {
+        name: 'type_by_selector',
+        description: 'Type/replace value in an input/textarea by CSS selector. Clears existing value and types new one.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                selector: { type: 'string', description: 'CSS selector of the input/textarea' },
+                value: { type: 'string', description: 'Value to type' }
+            },
+            required: ['selector', 'value']
+        },
+        mutating: true,
+        run: (session, args) => session.typeBySelector(args.selector, args.value)
+    },
+    {
+        name: 'wait_for_selector',
+        description: 'Wait for an element to appear by CSS selector. Useful after clicking buttons that open dialogs or load content.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                selector: { type: 'string', description: 'CSS selector to wait for' },
+                timeoutMs: { type: 'number', description: 'Timeout in ms (default 5000)' }
+            },
+            required: ['selector']
+        },
+        run: (session, args) => session.waitForSelector(args.selector, args.timeoutMs)
+    },
+    {
+        name: 'wait_for_missing_selector',
+        description: 'Wait for an element to disappear by CSS selector. Useful after closing dialogs or completing actions.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                selector: { type: 'string', description: 'CSS selector to wait to disappear' },
+                timeoutMs: { type: 'number', description: 'Timeout in ms (default 5000)' }
+            },
+            required: ['selector']
+        },
+        run: (session, args) => session.waitForMissingSelector(args.selector, args.timeoutMs)
+    },
+    {
+        name: 'get_messages',
+        description: 'Collect UI5 messages (popovers, dialogs, strips, toasts) from the current page. Use this to check for error/success messages after actions. No parameters needed.',
+        inputSchema: {
+            type: 'object',
+            properties: {},
+            required: []
+        },
+        run: (session) => session.getMessages()
+    },
+    {
+        name: 'record_flow_start',
+        description: 'Start recording a flow of actions. After starting, all subsequent actions will be recorded until you call record_flow_stop. No parameters needed.',
+        inputSchema: {
+            type: 'object',
+            properties: {},
+            required: []
+        },
+        requiresPage: false,
+        run: (session) => session.recordFlowStart()
+    },
+    {
+        name: 'record_flow_stop',
+        description: 'Stop recording and return the recorded steps as JSON. Use this to capture a sequence of actions for reuse. No parameters needed.',
+        inputSchema: {
+            type: 'object',
+            properties: {},
+            required: []
+        },
+        requiresPage: false,
+        run: (session) => session.recordFlowStop()
+    },
+    {
+        name: 'replay_flow',
+        description: 'Replay a flow recorded with record_flow_stop against a freshly started app. Reports per-step pass/fail, timing and divergences from the recording (outcome or scenario changes).',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                flow: { type: 'object', description: 'Recording JSON returned by record_flow_stop ({ steps: [...] })' },
+                stopOnFailure: { type: 'boolean', description: 'Stop at the first failing step (default false)' }
+            },
+            required: ['flow']
+        },
+        requiresPage: false,
+        run: (session, args) => session.replayFlow(args.flow, args.stopOnFailure)
+    },
+    {
+        name: 'close_app',
+        description: 'Close the application',
+        inputSchema: {
+            type: 'object',
+            properties: {},
+            required: []
+        },
+        run: (session) => session.closeApp()
+    }
+];
+
+function findTool(name) {
+    return TOOLS.find((tool) => tool.name === name) || null;
+}
+
+// MCP tool descriptors, without the dispatch details
+function toolDefinitions() {
+    return TOOLS.map(({ name, description, inputSchema }) => ({ name, description, inputSchema }));
+}
+
+module.exports = { TOOLS, findTool, toolDefinitions };
@@ -0,0 +1,93 @@
+const { getConfig } = require('./config');
+
+// OData V2/V4 service calls, including $batch and $metadata
+const ODATA_REQUEST = /\/odata\/|\/odata4\/|\/sap\/opu\/odata|\$batch|\$metadata/i;
+
+// OData requests in flight per page, fed by Playwright's request events
+const pendingRequests = new WeakMap();
+
+function trackODataRequests(page) {
+    if (pendingRequests.has(page)) return;
+    const pending = new Set();
+    pendingRequests.set(page, pending);
+    const isOData = (request) => ['xhr', 'fetch'].includes(request.resourceType()) && ODATA_REQUEST.test(request.url());
+    const settle = (request) => pending.delete(request);
+    page.on('request', (request) => {
+        if (isOData(request)) pending.add(request);
+    });
+    page.on('requestfinished', settle);
+    page.on('requestfailed', settle);
+    // A navigation abandons whatever the old document had in flight
+    page.on('framenavigated', (frame) => {
+        if (frame === page.mainFrame()) pending.clear();
+    });
+}
+
+/**
+ * Runs in the page: why UI5 is not idle yet, or an empty list when it is.
+ * Kept self-contained so export-playwright.js can embed it in exported specs.
+ */
+function ui5BusyState() {
+    const sap = window.sap;
+    if (!sap || !sap.ui || !sap.ui.getCore) return ['UI5 not loaded'];
+    const reasons = [];
+    const core = sap.ui.getCore();
+    const visible = (dom) => !!dom && (dom.offsetWidth > 0 || dom.offsetHeight > 0);
+
+    try {
+        if (core.getUIDirty && core.getUIDirty()) reasons.push('rendering pending');
+    } catch (e) { /* removed in UI5 2.x */ }
+
+    const busyIndicator = (sap.ui.require && sap.ui.require('sap/ui/core/BusyIndicator')) || sap.ui.core?.BusyIndicator;
+    if ((busyIndicator?.oPopup?.isOpen?.()) || visible(document.getElementById('sapUiBusyIndicator'))) {
+        reasons.push('sap.ui.core.BusyIndicator shown');
+    }
+
+    const registry = sap.ui.core?.Element?.registry;
+    const each = registry ? (fn) => registry.forEach(fn) : (fn) => Object.values(core.mElements || {}).forEach(fn);
+    each((control) => {
+        try {
+            if (control.getBusy && control.getBusy() && visible(control.getDomRef && control.getDomRef())) {
+                reasons.push('busy: ' + control.getId());
+            }
+            if (control.isA && control.isA('sap.m.NavContainer') && control._bNavigating) {
+                reasons.push('navigating: ' + control.getId());
+            }
+            const openState = control.oPopup?.getOpenState?.();
+            if (openState === 'OPENING' || openState === 'CLOSING') {
+                reasons.push(openState.toLowerCase() + ': ' + control.getId());
+            }
+        } catch (e) { /* destroyed while iterating */ }
+    });
+    return reasons.slice(0, 5);
+}
+
+/**
+ * Waits until UI5 has been idle for quietMs: no OData request in flight, no busy indicator or busy control,
+ * no navigation or popup transition and nothing left to render. Never throws; after timeoutMs it resolves
+ * with idle false and the last reasons, so a slow app costs time instead of failing the tool.
+ */
+async function waitForUi5Idle(page, { timeoutMs = getConfig().timeouts.toolSettleMs, quietMs = getConfig().timeouts.idleQuietMs, pollMs = 100 } = {}) {
+    const startedAt = Date.now();
+    let quietSince = null;
+    let reasons = [];
+    for (;;) {
+        if (page.isClosed()) return { idle: false, reasons: ['page closed'], waitedMs: Date.now() - startedAt };
+        // Evaluation fails while a navigation swaps the document; that counts as busy
+        reasons = await page.evaluate(ui5BusyState).catch(() => ['navigating']);
+        const pending = pendingRequests.get(page)?.size || 0;
+        if (pending) reasons.push(pending + ' OData request(s) pending');
+
+        const now = Date.now();
+        if (!reasons.length) {
+            if (quietSince === null) quietSince = now;
+            if (now - quietSince >= quietMs) return { idle: true, reasons: [], waitedMs: now - startedAt };
+        } else {
+            quietSince = null;
+        }
+        if (now - startedAt >= timeoutMs) return { idle: false, reasons, waitedMs: now - startedAt };
+        await new Promise((resolve) => setTimeout(resolve, pollMs));
+    }
+}
+
+module.exports = { ODATA_REQUEST, trackODataRequests, ui5BusyState, waitForUi5Idle };
@@ -0,0 +1,659 @@
+/**
+ * Table access through the UI5 control API: responsive tables (sap.m.Table) and sap.ui.table.Table with its
+ * subclasses (GridTable, AnalyticalTable, TreeTable). Grid rows are virtualized: only the visible ones are rendered,
+ * so values come from the rows binding's contexts and reading further rows means scrolling.
+ */
+
+/**
+ * Runs in the page. One self-contained entry point so every call ships the same helpers;
+ * request.op picks the operation, request.tableId the table (default: first visible one).
+ * Returns { error } instead of throwing so the message reaches the agent unchanged.
+ */
+function ui5TableOp(request) {
+    const sap = window.sap;
+    if (!sap || !sap.ui || !sap.ui.getCore) return request.op === 'list' ? { tables: [] } : { error: 'UI5 is not loaded' };
+    const core = sap.ui.getCore();
+    const visible = (dom) => !!dom && (dom.offsetWidth > 0 || dom.offsetHeight > 0);
+    const isGrid = (control) => !!control && control.isA && control.isA('sap.ui.table.Table');
+    const isResponsive = (control) => !!control && control.isA && control.isA('sap.m.Table');
+    const registry = sap.ui.core.Element && sap.ui.core.Element.registry;
+    const allControls = registry ? registry.all() : (core.mElements || {});
+    const visibleTables = () => Object.values(allControls)
+        .filter((c) => (isGrid(c) || isResponsive(c)) && visible(c.getDomRef()))
+        // Document order, so the default table is the one a user sees first
+        .sort((a, b) => (a.getDomRef().compareDocumentPosition(b.getDomRef()) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1));
+
+    // Object page section, or the icon tab (list report view) a table sits in
+    const container = (table) => {
+        for (let parent = table.getParent(); parent; parent = parent.getParent()) {
+            if (parent.isA('sap.m.IconTabFilter')) return { section: parent.getText(), tab: parent };
+            if ((parent.isA('sap.uxap.ObjectPageSubSection') || parent.isA('sap.uxap.ObjectPageSection')) && parent.getTitle()) {
+                return { section: parent.getTitle(), tab: null };
+            }
+        }
+        return { section: null, tab: null };
+    };
+
+    // Tables of list report views that are not selected are not rendered; they are still worth listing
+    const tabTables = () => Object.values(allControls)
+        .filter((c) => (isGrid(c) || isResponsive(c)) && !visible(c.getDomRef()) && container(c).tab);
+
+    const columnKey = (column, index) => {
+        const id = column.getId();
+        if (id.includes('::C::')) return id.split('::C::')[1].replace(/-innerColumn$/, '');
+        const label = column.getLabel && column.getLabel();
+        const text = label && (typeof label === 'string' ? label : label.getText && label.getText());
+        return text || column.getName?.() || 'column' + index;
+    };
+
+    // The binding path behind a column: the mdc column's property key, else the cell template's first binding
+    const columnPath = (table, column) => {
+        const mdcTable = table.getParent && table.getParent();
+        if (mdcTable && mdcTable.isA && mdcTable.isA('sap.ui.mdc.Table')) {
+            const mdcColumn = mdcTable.getColumns().find((c) => c.getId() + '-innerColumn' === column.getId());
+            const key = mdcColumn && ((mdcColumn.getPropertyKey && mdcColumn.getPropertyKey()) || (mdcColumn.getDataProperty && mdcColumn.getDataProperty()));
+            if (key && !key.includes('::')) return key;
+        }
+        const template = column.getTemplate && column.getTemplate();
+        for (const property of ['text', 'value', 'selected', 'number', 'title', 'src']) {
+            const info = template && template.getBindingInfo && template.getBindingInfo(property);
+            const part = info && (info.parts ? info.parts[0] : info);
+            if (part && part.path && !part.model) return part.path;
+        }
+        return null;
+    };
+
+    const columns = (table) => table.getColumns()
+        .filter((column) => column.getVisible())
+        .map((column, index) => ({ column, key: columnKey(column, index), path: columnPath(table, column) }));
+
+    const renderedRow = (table, index) => table.getRows().find((row) => row.getIndex() === index) || null;
+
+    const items = (table) => table.getItems().filter((item) => item.isA('sap.m.ColumnListItem'));
+
+    // sap.m.Table keeps one cell per column in creation order, hidden columns included
+    const responsiveCell = (table, item, column) => {
+        const order = column.getInitialOrder ? column.getInitialOrder() : -1;
+        return item.getCells()[order >= 0 ? order : table.getColumns().indexOf(column)];
+    };
+
+    const controlText = (control) => {
+        if (!control) return null;
+        for (const getter of ['getText', 'getValue', 'getTitle', 'getNumber']) {
+            if (typeof control[getter] === 'function') {
+                const value = control[getter]();
+                if (value !== undefined && value !== null && value !== '') return String(value);
+            }
+        }
+        const dom = control.getDomRef && control.getDomRef();
+        return dom ? (dom.textContent || '').trim() : null;
+    };
+
+    // What the user sees: the rendered text when the cell is in the DOM, else the control's own text
+    const displayText = (control) => {
+        const dom = control && control.getDomRef && control.getDomRef();
+        return dom ? (dom.textContent || '').trim() : controlText(control);
+    };
+
+    // The entity's key properties from the OData metadata, else from the key predicate of the context path
+    const entityKeys = (context) => {
+        const path = context.getPath();
+        const metaModel = safe(() => context.getModel().getMetaModel());
+        let names = null;
+        if (metaModel && metaModel.getMetaPath) {
+            names = safe(() => (metaModel.getObject(metaModel.getMetaPath(path) + '/') || {}).$Key);
+        } else if (metaModel && metaModel.getODataEntitySet) {
+            const entitySet = safe(() => metaModel.getODataEntitySet(path.split('/')[1].split('(')[0]));
+            const entityType = entitySet && safe(() => metaModel.getODataEntityType(entitySet.entityType));
+            names = entityType && entityType.key && entityType.key.propertyRef.map((ref) => ref.name);
+        }
+        const keys = {};
+        if (names && names.length) {
+            // V4 keys may be aliases ({ alias: path }); both point at the entity's own properties
+            names.forEach((name) => {
+                const property = typeof name === 'string' ? name : Object.values(name)[0];
+                keys[property] = safe(() => context.getProperty(property));
+            });
+            return keys;
+        }
+        const predicate = /\(([^()]*)\)$/.exec(path);
+        if (!predicate) return null;
+        predicate[1].split(/,(?=(?:[^']*'[^']*')*[^']*$)/).forEach((part) => {
+            const [name, value] = part.includes('=') ? [part.slice(0, part.indexOf('=')), part.slice(part.indexOf('=') + 1)] : ['key', part];
+            const quoted = /^'(.*)'$/.exec(value);
+            keys[name] = quoted ? decodeURIComponent(quoted[1]) : (safe(() => JSON.parse(value)) ?? value);
+        });
+        return keys;
+    };
+
+    // The row's full entity next to what is displayed, so hidden columns and typed values are available too
+    const rawRow = (index, context, display) => ({
+        '@index': index,
+        display,
+        raw: context ? safe(() => context.getObject()) || null : null,
+        keys: context ? entityKeys(context) : null,
+        path: context ? context.getPath() : null
+    });
+
+    // Hierarchy details for tree and analytical tables, and for V4 hierarchies in a plain grid table
+    const nodeInfo = (table, index, context) => {
+        const binding = table.getBinding('rows');
+        const node = binding && binding.getNodeByIndex ? binding.getNodeByIndex(index) : null;
+        const v4Level = context && context.getProperty ? safe(() => context.getProperty('@$ui5.node.level')) : undefined;
+        if (!node && v4Level === undefined) return null;
+        const expanded = table.isExpanded ? table.isExpanded(index) : safe(() => context.getProperty('@$ui5.node.isExpanded'));
+        const leaf = node ? !!(node.isLeaf || (node.nodeState && node.nodeState.isLeaf)) : expanded === undefined;
+        return { level: node ? node.level : v4Level, expanded: !!expanded, leaf };
+    };
+
+    function safe(fn) {
+        try { return fn(); } catch (e) { return undefined; }
+    }
+
+    // Rows the binding knows of so far; with a length that is not final this grows while scrolling
+    const boundLength = (table) => {
+        const binding = table.getBinding(isGrid(table) ? 'rows' : 'items');
+        return binding ? binding.getLength() : 0;
+    };
+
+    // The header toolbar (sap.m.Table) or extension/toolbar (sap.ui.table) holding the title and the actions
+    const toolbarOf = (table) => [table.getHeaderToolbar && table.getHeaderToolbar(), table.getToolbar && table.getToolbar()]
+        .concat(table.getExtension ? table.getExtension() : [])
+        .find((control) => control && control.isA && control.isA('sap.m.Toolbar')) || null;
+
+    // mdc wraps each table action in an ActionToolbarAction
+    const toolbarContent = (table) => {
+        const toolbar = toolbarOf(table);
+        return toolbar ? toolbar.getContent().map((c) => (c.isA('sap.ui.mdc.actiontoolbar.ActionToolbarAction') && c.getAction() ? c.getAction() : c)) : [];
+    };
+
+    const titleText = (table) => {
+        const title = toolbarContent(table).find((control) => control.isA('sap.m.Title'));
+        if (title) return title.getText();
+        const owner = table.getParent && table.getParent();
+        const ownerDom = owner && owner.getDomRef && owner.getDomRef();
+        const titleDom = ownerDom && ownerDom.querySelector('.sapMTitle');
+        return titleDom ? titleDom.textContent : null;
+    };
+
+    // The count in the table title, e.g. "Items (123)"; FE shows it when the binding's length is not final yet
+    const titleCount = (table) => {
+        const match = /\(([\d.,\s\u00a0]+)\)\s*$/.exec(titleText(table) || '');
+        return match ? Number(match[1].replace(/[^\d]/g, '')) : null;
+    };
+
+    const toolbarActions = (table) => toolbarContent(table)
+        .filter((control) => control.isA('sap.m.Button') || control.isA('sap.m.MenuButton'))
+        .map((button) => ({
+            id: button.getId(),
+            text: (button.getText() || button.getTooltip_AsString() || '').trim(),
+            enabled: button.getEnabled(),
+            visible: button.getVisible()
+        }))
+        .filter((action) => action.text);
+
+    const totalCount = (table, binding, loaded) => {
+        if (binding && (!binding.isLengthFinal || binding.isLengthFinal())) return { totalCount: binding.getLength(), totalCountFrom: 'binding' };
+        const count = titleCount(table);
+        if (count !== null) return { totalCount: count, totalCountFrom: 'title' };
+        return { totalCount: binding ? null : loaded, totalCountFrom: null };
+    };
+
+    // Cell text such as "Sunny Travel (4711)" matches on the id in brackets as well
+    const sameValue = (actual, expected) => {
+        if (actual === undefined || actual === null) return false;
+        const a = String(actual).trim();
+        const e = String(expected).trim();
+        return a === e || a.endsWith('(' + e + ')');
+    };
+
+    // A row matches when every entry of match equals its column's text, the bound property or the entity key
+    const rowMatches = (match, context, display) => Object.entries(match).every(([key, expected]) => {
+        const candidates = [display[key]];
+        if (context) candidates.push(safe(() => context.getProperty(key)));
+        const keys = context ? entityKeys(context) : null;
+        if (keys) candidates.push(keys[key]);
+        return candidates.some((actual) => sameValue(actual, expected));
+    });
+
+    const describe = (table) => {
+        if (isResponsive(table)) {
+            const loadedCount = items(table).length;
+            return {
+                tableId: table.getId(),
+                tableListId: table.getId() + '-listUl',
+                kind: 'responsive',
+                type: table.getMetadata().getName(),
+                ...totalCount(table, table.getBinding('items'), loadedCount),
+                loadedCount,
+                growing: table.getGrowing(),
+                growingScrollToLoad: table.getGrowingScrollToLoad()
+            };
+        }
+        const binding = table.getBinding('rows');
+        return {
+            tableId: table.getId(),
+            kind: 'grid',
+            type: table.getMetadata().getName(),
+            ...totalCount(table, binding, 0),
+            firstVisibleRow: table.getFirstVisibleRow(),
+            visibleRowCount: table.getRows().length
+        };
+    };
+
+    // Items a responsive table has grown to, or the rows bound to a grid (not all of them fetched)
+    const loadedLength = (t) => (isResponsive(t) ? items(t).length : boundLength(t));
+
+    // index => { context, display } for a loaded row, else null; display holds the text per column key
+    const displayReader = (t) => {
+        if (isResponsive(t)) {
+            const cols = t.getColumns().filter((column) => column.getVisible());
+            const list = items(t);
+            return (index) => {
+                const item = list[index];
+                if (!item) return null;
+                const display = {};
+                cols.forEach((column, colIndex) => {
+                    display[columnKey(column, colIndex)] = displayText(responsiveCell(t, item, column));
+                });
+                return { context: item.getBindingContext(), display };
+            };
+        }
+        const cols = columns(t);
+        return (index) => {
+            const context = t.getContextByIndex(index);
+            if (!context) return null;
+            const row = renderedRow(t, index);
+            const display = {};
+            cols.forEach((col, colIndex) => {
+                display[col.key] = row ? displayText(row.getCells()[colIndex]) : (col.path ? safe(() => context.getProperty(col.path)) : null);
+            });
+            return { context, display };
+        };
+    };
+
+    // The grid's selection plugin (ODataV4Selection, MultiSelectionPlugin), which replaces the table's own selection API
+    const selectionPlugin = (t) => {
+        const plugins = [].concat(t.getPlugins ? t.getPlugins() : [], t.getDependents ? t.getDependents() : []);
+        return plugins.find((p) => p.isA && p.isA('sap.ui.table.plugins.SelectionPlugin')) || null;
+    };
+
+    const selectionMode = (t) => {
+        if (isResponsive(t)) return t.getMode();
+        const plugin = selectionPlugin(t);
+        return plugin && plugin.getSelectionMode ? plugin.getSelectionMode() : t.getSelectionMode();
+    };
+
+    const selectedIndices = (t) => {
+        if (isResponsive(t)) {
+            return items(t).map((item, index) => (item.getSelected() ? index : -1)).filter((index) => index >= 0);
+        }
+        const plugin = selectionPlugin(t);
+        if (plugin && plugin.isA('sap.ui.table.plugins.ODataV4Selection')) {
+            const indices = [];
+            for (let index = 0; index < boundLength(t); index++) {
+                const context = t.getContextByIndex(index);
+                if (context && context.isSelected && context.isSelected()) indices.push(index);
+            }
+            return indices;
+        }
+        return (plugin && plugin.getSelectedIndices ? plugin.getSelectedIndices() : t.getSelectedIndices()).slice();
+    };
+
+    // The control owning a DOM element: the nearest ancestor carrying a UI5 control id
+    const controlOf = (dom) => {
+        for (let el = dom; el; el = el.parentElement) {
+            const control = el.id && core.byId(el.id);
+            if (control) return control;
+        }
+        return null;
+    };
+
+    // What a cell holds for editing: a checkbox, a select, an input (with value help or as combo box), else plain text
+    const cellEditor = (td) => {
+        const checkbox = td.querySelector('.sapMCb, [role="checkbox"]');
+        if (checkbox) {
+            const control = controlOf(checkbox);
+            return {
+                dom: checkbox,
+                control: 'checkbox',
+                editable: checkbox.getAttribute('aria-disabled') !== 'true' && checkbox.getAttribute('aria-readonly') !== 'true',
+                value: control && control.getSelected ? control.getSelected() : checkbox.getAttribute('aria-checked') === 'true'
+            };
+        }
+        const select = td.querySelector('.sapMSlt');
+        if (select) {
+            const control = controlOf(select);
+            const item = control && control.getSelectedItem && control.getSelectedItem();
+            return {
+                dom: select,
+                control: 'select',
+                editable: !!control && control.getEnabled() && (!control.getEditable || control.getEditable()),
+                value: item ? item.getKey() : null,
+                text: item ? item.getText() : null,
+                options: control ? control.getItems().map((option) => option.getText()) : []
+            };
+        }
+        const input = td.querySelector('input:not([type="hidden"]), textarea');
+        if (input) {
+            const wrapper = input.closest('.sapMInputBase');
+            const control = controlOf(wrapper || input);
+            const valueHelp = !!(wrapper && wrapper.querySelector('.sapMInputBaseIconContainer .sapUiIcon')) ||
+                (input.getAttribute('aria-haspopup') || '') === 'dialog';
+            return {
+                dom: input,
+                control: input.getAttribute('role') === 'combobox' && !valueHelp ? 'combobox' : valueHelp ? 'valueHelp' : 'input',
+                editable: !input.readOnly && !input.disabled,
+                value: input.value,
+                valueState: control && control.getValueState ? control.getValueState() : null,
+                valueStateText: control && control.getValueStateText ? control.getValueStateText() || null : null
+            };
+        }
+        return { dom: null, control: 'text', editable: false, value: (td.textContent || '').trim() };
+    };
+
+    let table;
+    if (request.op !== 'list') {
+        table = request.tableId ? core.byId(request.tableId) : visibleTables()[0];
+        if (!isGrid(table) && !isResponsive(table)) {
+            return { error: request.tableId ? 'Not a table: ' + request.tableId : 'No table found on the page' };
+        }
+        if (!isGrid(table) && ['select', 'selectAll', 'expand', 'target'].includes(request.op)) {
+            return { error: `${table.getId()} is not a sap.ui.table.Table` };
+        }
+    }
+    const rowIndex = Number(request.rowIndex) || 0;
+    const contextAt = () => table.getContextByIndex(rowIndex);
+
+    switch (request.op) {
+        case 'list': {
+            const tables = visibleTables().concat(request.includeHidden ? tabTables() : []);
+            if (!request.details) return { tables: tables.map(describe) };
+            return {
+                tables: tables.map((t) => ({
+                    ...describe(t),
+                    title: (titleText(t) || '').trim() || null,
+                    section: container(t).section,
+                    visible: visible(t.getDomRef()),
+                    toolbarId: toolbarOf(t) ? toolbarOf(t).getId() : null,
+                    actions: toolbarActions(t)
+                }))
+            };
+        }
+
+        case 'read': {
+            if (isResponsive(table)) {
+                const cols = table.getColumns().filter((column) => column.getVisible())
+                    .map((column, index) => ({ column, key: columnKey(column, index) }));
+                const rows = items(table).slice(request.from, request.from + request.count).map((item, offset) => {
+                    const display = {};
+                    cols.forEach((col) => {
+                        display[col.key] = displayText(responsiveCell(table, item, col.column));
+                    });
+                    return request.raw ? rawRow(request.from + offset, item.getBindingContext(), display) : display;
+                });
+                return { ...describe(table), rows, missing: [] };
+            }
+            // Rows whose context is not loaded yet come back in missing; the caller scrolls there and reads again
+            const cols = columns(table);
+            const info = describe(table);
+            const end = Math.min(boundLength(table), request.from + request.count);
+            const rows = [];
+            const missing = [];
+            for (let index = request.from; index < end; index++) {
+                const context = table.getContextByIndex(index);
+                if (!context) {
+                    missing.push(index);
+                    continue;
+                }
+                const row = renderedRow(table, index);
+                const cells = row ? row.getCells() : [];
+                const cellValues = {};
+                const display = {};
+                cols.forEach((col, colIndex) => {
+                    let value = col.path ? safe(() => context.getProperty(col.path)) : undefined;
+                    if (value === undefined && row) value = controlText(cells[colIndex]);
+                    if (value !== undefined) cellValues[col.key] = value;
+                    // Rows scrolled out of view have no cells; their display falls back to the bound value
+                    display[col.key] = row ? displayText(cells[colIndex]) : (value === undefined || value === null ? null : String(value));
+                });
+                const values = request.raw ? rawRow(index, context, display) : { '@index': index, ...cellValues };
+                const node = nodeInfo(table, index, context);
+                if (node) {
+                    values['@level'] = node.level;
+                    values['@expanded'] = node.expanded;
+                    values['@leaf'] = node.leaf;
+                }
+                rows.push(values);
+            }
+            return { ...info, rows, missing };
+        }
+
+        case 'find': {
+            // Only loaded rows can be checked: what a responsive table has grown to, the fetched contexts of a grid
+            const indices = [];
+            let checked = 0;
+            const rowAt = displayReader(table);
+            for (let index = 0; index < loadedLength(table); index++) {
+                const row = rowAt(index);
+                if (!row) continue;
+                checked += 1;
+                if (rowMatches(request.match, row.context, row.display)) indices.push(index);
+            }
+            return { ...describe(table), indices, checked };
+        }
+
+        case 'scroll':
+            if (isResponsive(table)) {
+                // growingScrollToLoad loads the next page once the last item comes into view
+                const item = items(table)[Math.min(rowIndex, items(table).length - 1)];
+                const dom = item && item.getDomRef();
+                if (dom) dom.scrollIntoView({ block: 'end' });
+                return describe(table);
+            }
+            table.setFirstVisibleRow(Math.max(0, Math.min(rowIndex, boundLength(table) - 1)));
+            return describe(table);
+
+        case 'select': {
+            const context = contextAt();
+            if (!context) return { error: `Row ${rowIndex} of ${table.getId()} is not loaded` };
+            const plugin = selectionPlugin(table);
+            if (plugin && plugin.isA('sap.ui.table.plugins.ODataV4Selection') && context.setSelected) {
+                context.setSelected(true);
+            } else if (plugin && plugin.addSelectionInterval) {
+                plugin.addSelectionInterval(rowIndex, rowIndex);
+            } else if (table.getSelectionMode() === 'None') {
+                return { error: `${table.getId()} does not allow row selection` };
+            } else {
+                table.addSelectionInterval(rowIndex, rowIndex);
+            }
+            return { tableId: table.getId(), rowIndex };
+        }
+
+        case 'selection': {
+            // Responsive tables only know the items they have grown to; a grid with ODataV4Selection only its fetched contexts
+            const indices = selectedIndices(table);
+            const rowAt = displayReader(table);
+            return {
+                ...describe(table),
+                selectionMode: selectionMode(table),
+                selectedCount: indices.length,
+                loadedCount: loadedLength(table),
+                rows: indices.map((index) => {
+                    const row = rowAt(index);
+                    if (!row) return { '@index': index };
+                    return { '@index': index, ...row.display, '@keys': row.context ? entityKeys(row.context) : null };
+                })
+            };
+        }
+
+        case 'selectAll': {
+            const plugin = selectionPlugin(table);
+            if (!/^Multi/.test(selectionMode(table))) return { error: `${table.getId()} does not allow selecting several rows` };
+            if (plugin && plugin.selectAll) {
+                // MultiSelectionPlugin loads up to its limit first; the caller waits for the requests
+                plugin.selectAll();
+            } else if (plugin && plugin.isA('sap.ui.table.plugins.ODataV4Selection')) {
+                for (let index = 0; index < boundLength(table); index++) {
+                    const context = table.getContextByIndex(index);
+                    if (context && context.setSelected) context.setSelected(true);
+                }
+            } else {
+                table.selectAll();
+            }
+            return { tableId: table.getId() };
+        }
+
+        case 'clearSelection': {
+            if (isResponsive(table)) {
+                // Fires selectionChange so Fiori elements disables the actions that need a selection
+                table.removeSelections(true, true);
+                return { tableId: table.getId() };
+            }
+            const plugin = selectionPlugin(table);
+            if (plugin && plugin.clearSelection) plugin.clearSelection(); else table.clearSelection();
+            return { tableId: table.getId() };
+        }
+
+        case 'expand': {
+            const context = contextAt();
+            if (!context) return { error: `Row ${rowIndex} of ${table.getId()} is not loaded` };
+            const node = nodeInfo(table, rowIndex, context);
+            if (!node) return { error: `${table.getId()} has no hierarchy to expand` };
+            if (node.leaf) return { error: `Row ${rowIndex} of ${table.getId()} is a leaf` };
+            const expand = request.expand !== false;
+            if (table.expand && table.collapse) {
+                if (expand) table.expand(rowIndex); else table.collapse(rowIndex);
+            } else if (context.expand && context.collapse) {
+                if (expand) context.expand(); else context.collapse();
+            } else {
+                return { error: `${table.getId()} cannot expand rows` };
+            }
+            return { tableId: table.getId(), rowIndex, expanded: expand };
+        }
+
+        case 'openP13n': {
+            // The mdc table's settings button opens the personalization dialog (sap.m.p13n.Popup)
+            const owner = table.getParent();
+            const settings = owner && owner.isA('sap.ui.mdc.Table') && core.byId(owner.getId() + '-settings');
+            if (!settings) return { error: `${table.getId()} has no personalization dialog` };
+            settings.firePress();
+            return { tableId: table.getId(), settingsId: settings.getId() };
+        }
+
+        case 'p13n': {
+            // Edits one panel of the open dialog and confirms it, so the table applies the change the way a user's OK does
+            const popup = Object.values(allControls).find((c) => c.isA && c.isA('sap.m.p13n.Popup') && c.isOpen());
+            if (!popup) return { error: 'The personalization dialog did not open' };
+            const close = (button) => {
+                const dom = document.querySelector(`.sapMP13nPopup button[id$="-${button}"]`);
+                const control = core.byId(popup.getId() + '-' + button) || (dom && core.byId(dom.id));
+                if (control) control.firePress();
+            };
+            const panelType = { columns: 'sap.m.p13n.SelectionPanel', sort: 'sap.m.p13n.SortPanel', group: 'sap.m.p13n.GroupPanel' }[request.kind];
+            const panel = popup.getPanels().find((p) => p.isA(panelType));
+            if (!panel) {
+                close('cancelBtn');
+                return { error: `${table.getId()} offers no ${request.kind === 'columns' ? 'column selection' : request.kind + 'ing'}` };
+            }
+            const data = panel.getP13nData();
+            const normalize = (text) => String(text || '').trim().toLowerCase();
+            const lookup = (column) => data.find((item) => normalize(item.name) === normalize(column)) ||
+                data.find((item) => normalize(item.label) === normalize(column));
+            const wanted = [].concat(request.columns || []).map((column) => ({ column, item: lookup(column) }));
+            const unknown = wanted.filter((w) => !w.item).map((w) => w.column);
+            if (unknown.length) {
+                close('cancelBtn');
+                return { error: `Unknown column ${unknown.map((c) => `"${c}"`).join(', ')}; available: ${data.map((item) => item.label || item.name).join(', ')}` };
+            }
+            const chosen = wanted.map((w) => w.item);
+            const rest = data.filter((item) => !chosen.includes(item));
+            let result;
+            if (request.kind === 'columns') {
+                panel.setP13nData(chosen.map((item) => ({ ...item, visible: true })).concat(rest.map((item) => ({ ...item, visible: false }))));
+                result = { visibleColumns: chosen.map((item) => item.name) };
+            } else if (request.kind === 'sort') {
+                panel.setP13nData(chosen.map((item) => ({ ...item, sorted: true, descending: !!request.descending })).concat(rest.map((item) => ({ ...item, sorted: false }))));
+                result = { sorters: chosen.map((item) => ({ name: item.name, descending: !!request.descending })) };
+            } else {
+                panel.setP13nData(chosen.map((item) => ({ ...item, grouped: true })).concat(rest.map((item) => ({ ...item, grouped: false }))));
+                result = { groupLevels: chosen.map((item) => item.name) };
+            }
+            close('confirmBtn');
+            return { tableId: table.getId(), ...result };
+        }
+
+        case 'cell': {
+            // Marks the cell's editor (input, select, checkbox) so the caller can type or click like a user
+            document.querySelectorAll('[data-fiori-mcp-target]').forEach((el) => el.removeAttribute('data-fiori-mcp-target'));
+            const wanted = String(request.column || '').toLowerCase();
+            const cols = columns(table);
+            const colIndex = cols.findIndex((col) => col.key.toLowerCase() === wanted || (col.path || '').toLowerCase() === wanted);
+            if (colIndex < 0) {
+                return { error: `Unknown column "${request.column}" in ${table.getId()}; columns: ${cols.map((col) => col.key).join(', ')}` };
+            }
+            const col = cols[colIndex];
+            let td = null;
+            let context = null;
+            if (isResponsive(table)) {
+                const item = items(table)[rowIndex];
+                if (!item) return { error: `Row ${rowIndex} of ${table.getId()} is not loaded` };
+                context = item.getBindingContext();
+                const row = item.getDomRef();
+                td = row && row.querySelector(`td[data-sap-ui-column="${col.column.getId()}"]`);
+            } else {
+                const row = renderedRow(table, rowIndex);
+                if (!row) return { error: `Row ${rowIndex} of ${table.getId()} is not rendered` };
+                context = row.getBindingContext();
+                const cell = row.getCells()[colIndex];
+                const dom = cell && cell.getDomRef();
+                td = dom && (dom.closest('td') || dom);
+            }
+            if (!td) return { error: `Cell ${col.key} of row ${rowIndex} is not rendered` };
+            const editor = cellEditor(td);
+            if (editor.dom) editor.dom.setAttribute('data-fiori-mcp-target', 'cell');
+            const { dom, ...info } = editor;
+            return {
+                tableId: table.getId(),
+                rowIndex,
+                column: col.key,
+                property: col.path,
+                ...info,
+                keys: context ? entityKeys(context) : null
+            };
+        }
+
+        case 'paths': {
+            // Binding paths of the loaded rows; a row added inline shows up as a path not seen before
+            const contexts = isResponsive(table)
+                ? items(table).map((item) => item.getBindingContext())
+                : Array.from({ length: boundLength(table) }, (_, index) => table.getContextByIndex(index));
+            return { tableId: table.getId(), paths: contexts.map((context) => (context ? context.getPath() : null)) };
+        }
+
+        case 'target': {
+            // Marks the element to click for navigation (row action, else the first cell) of a rendered row
+            document.querySelectorAll('[data-fiori-mcp-target]').forEach((el) => el.removeAttribute('data-fiori-mcp-target'));
+            const row = renderedRow(table, rowIndex);
+            if (!row) return { error: `Row ${rowIndex} of ${table.getId()} is not rendered` };
+            const refs = row.getDomRefs ? row.getDomRefs() : {};
+            const target = (refs.rowAction && refs.rowAction.querySelector('.sapUiTableActionIcon, .sapUiIcon')) ||
+                (refs.rowScrollPart && refs.rowScrollPart.querySelector('td[data-sap-ui-colid] .sapUiTableCellInner, td .sapUiTableCellInner')) ||
+                (row.getDomRef && row.getDomRef());
+            if (!target) return { error: `Row ${rowIndex} of ${table.getId()} has nothing to click` };
+            target.setAttribute('data-fiori-mcp-target', 'row');
+            return { tableId: table.getId(), rowIndex };
+        }
+
+        default:
+            return { error: 'Unknown table operation: ' + request.op };
+    }
+}
+
+async function tableOp(page, request) {
+    const result = await page.evaluate(ui5TableOp, request);
+    if (result && result.error) throw new Error(result.error);
+    return result;
+}
+
+module.exports = { ui5TableOp, tableOp };
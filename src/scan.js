@@ -2,10 +2,20 @@
 const fs = require('fs');
 const path = require('path');
 const { chromium } = require('playwright');
+const { clientCertificateOptions } = require('./runtime/auth');
+const { getConfig } = require('./runtime/config');
 
 function parseArgs() {
 	const args = process.argv.slice(2);
-	const out = { url: null, out: 'scan.json', headless: true, timeout: 60000, includeShell: false, p13nColumns: false };
+	const config = getConfig();
+	const out = {
+		url: config.url,
+		out: config.output.scan,
+		headless: config.browser.headless !== false,
+		timeout: config.timeouts.scanMs,
+		includeShell: false,
+		p13nColumns: false
+	};
 	for (let i = 0; i < args.length; i += 1) {
 		const a = args[i];
 		if (a === '--url' || a === '-u') out.url = args[i + 1];
@@ -250,7 +260,8 @@ async function main() {
 	}
 
 	const browser = await chromium.launch({ headless: args.headless });
-	const context = await browser.newContext();
+	const { viewport, locale } = getConfig().browser;
+	const context = await browser.newContext({ viewport, ...(locale ? { locale } : {}), ...clientCertificateOptions() });
 	const page = await context.newPage();
 
 	// Increase defaults globally
@@ -0,0 +1,119 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DEFAULT_CONFIG, loadConfig } = require('../src/runtime/config');
+
+const ENV_NAMES = ['FIORI_MCP_CONFIG', 'URL', 'DEBUG_MCP', 'HEADLESS', 'LOCALE', 'STORAGE_STATE', 'LOGIN_CREDENTIALS', 'CLIENT_CERTIFICATES', 'PORT', 'MAX_SESSIONS', 'SESSION_IDLE_TIMEOUT_MS', 'READ_ONLY'];
+let savedEnv;
+let dir;
+
+function writeConfig(settings) {
+    const file = path.join(dir, 'fiori-mcp.config.json');
+    fs.writeFileSync(file, typeof settings === 'string' ? settings : JSON.stringify(settings));
+    return file;
+}
+
+beforeEach(() => {
+    // The shell running the tests must not leak its own overrides into them
+    savedEnv = {};
+    ENV_NAMES.forEach((name) => {
+        savedEnv[name] = process.env[name];
+        delete process.env[name];
+    });
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fiori-mcp-config-'));
+});
+
+afterEach(() => {
+    ENV_NAMES.forEach((name) => {
+        if (savedEnv[name] === undefined) delete process.env[name];
+        else process.env[name] = savedEnv[name];
+    });
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('without a config file the defaults apply', () => {
+    const config = loadConfig(path.join(dir, 'missing.json'));
+    const { file, ...settings } = config;
+    assert.deepStrictEqual(settings, DEFAULT_CONFIG);
+    assert.strictEqual(file, null);
+});
+
+test('the file is merged into the defaults key by key', () => {
+    const file = writeConfig({
+        $schema: './fiori-mcp.config.schema.json',
+        url: 'https://example.com/app',
+        timeouts: { toolSettleMs: 2000 },
+        server: { port: 4000 },
+        safety: { blockedActions: ['Delete'] }
+    });
+    const config = loadConfig(file);
+    assert.strictEqual(config.url, 'https://example.com/app');
+    assert.strictEqual(config.timeouts.toolSettleMs, 2000);
+    assert.strictEqual(config.timeouts.startSettleMs, DEFAULT_CONFIG.timeouts.startSettleMs);
+    assert.deepStrictEqual(config.server, { ...DEFAULT_CONFIG.server, port: 4000 });
+    assert.deepStrictEqual(config.safety, { readOnly: false, blockedActions: ['Delete'] });
+    assert.strictEqual(config.file, file);
+    assert.strictEqual(config.$schema, undefined);
+    // Merging must not write through to the defaults
+    assert.strictEqual(DEFAULT_CONFIG.server.port, 3000);
+});
+
+test('environment variables override the file and are parsed by type', () => {
+    const file = writeConfig({ server: { port: 4000, maxSessions: 2 }, safety: { readOnly: false } });
+    Object.assign(process.env, { PORT: '5000', READ_ONLY: 'true', HEADLESS: '0', LOCALE: 'de-DE' });
+    const config = loadConfig(file);
+    assert.strictEqual(config.server.port, 5000);
+    assert.strictEqual(config.server.maxSessions, 2);
+    assert.strictEqual(config.safety.readOnly, true);
+    assert.strictEqual(config.browser.headless, false);
+    assert.strictEqual(config.browser.locale, 'de-DE');
+});
+
+test('empty environment variables are ignored', () => {
+    process.env.PORT = '';
+    assert.strictEqual(loadConfig(path.join(dir, 'missing.json')).server.port, 3000);
+});
+
+test('an integer override that is not an integer is rejected', () => {
+    process.env.MAX_SESSIONS = 'many';
+    assert.throws(() => loadConfig(path.join(dir, 'missing.json')), /Invalid MAX_SESSIONS: expected an integer, got "many"/);
+});
+
+test('FIORI_MCP_CONFIG names the file, which must then exist', () => {
+    process.env.FIORI_MCP_CONFIG = writeConfig({ server: { port: 4100 } });
+    assert.strictEqual(loadConfig().server.port, 4100);
+    process.env.FIORI_MCP_CONFIG = path.join(dir, 'missing.json');
+    assert.throws(() => loadConfig(), /Config file not found/);
+});
+
+test('settings that do not match the schema are rejected with every problem listed', () => {
+    const file = writeConfig({
+        server: { port: 'eighty', maxSessions: 0 },
+        safety: { blockedActions: ['Delete', 7] },
+        timeouts: { tooolSettleMs: 10 }
+    });
+    assert.throws(() => loadConfig(file), (error) => {
+        assert.match(error.message, /server\.port must be integer, got string/);
+        assert.match(error.message, /server\.maxSessions must be >= 1/);
+        assert.match(error.message, /safety\.blockedActions\[1\] must be string, got integer/);
+        assert.match(error.message, /timeouts\.tooolSettleMs is not a known setting/);
+        return true;
+    });
+});
+
+test('a config file that is not JSON is rejected', () => {
+    assert.throws(() => loadConfig(writeConfig('{ "url": ')), /Invalid .*fiori-mcp\.config\.json/);
+});
+
+test('integer overrides must stay within the schema limits', () => {
+    process.env.MAX_SESSIONS = '0';
+    assert.throws(() => loadConfig(path.join(dir, 'missing.json')), /Invalid environment variable: MAX_SESSIONS must be >= 1, got 0/);
+    process.env.MAX_SESSIONS = '3';
+    process.env.PORT = '70000';
+    assert.throws(() => loadConfig(path.join(dir, 'missing.json')), /Invalid environment variable: PORT must be <= 65535, got 70000/);
+    process.env.PORT = '8080';
+    process.env.SESSION_IDLE_TIMEOUT_MS = '10';
+    assert.throws(() => loadConfig(path.join(dir, 'missing.json')), /Invalid environment variable: SESSION_IDLE_TIMEOUT_MS must be >= 1000, got 10/);
+});
@@ -0,0 +1,57 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const vm = require('vm');
+const flow = require('./fixtures/flow.json');
+const all = require('./fixtures/all.json');
+const { exportOpa5Journey } = require('../src/export-opa5');
+
+// A copy of the fixture flow with one more step
+function withStep(step) {
+    return { ...flow, steps: [...flow.steps, step] };
+}
+
+test('the recorded flow becomes a sap.fe.test journey', () => {
+    const journey = exportOpa5Journey(flow, { all, title: 'create a travel', formSection: 'General' });
+    assert.doesNotThrow(() => new vm.Script(journey));
+    const lines = journey.split('\n').map((line) => line.trim());
+    [
+        'QUnit.module("create a travel");',
+        'Given.iStartMyApp();',
+        'Then.onTheMainPage.iSeeThisPage();',
+        'When.onTheMainPage.onFilterBar().iChangeFilterField({ property: "AgencyID" }, "070001");',
+        'When.onTheMainPage.onFilterBar().iExecuteSearch();',
+        'When.onTheMainPage.onTable().iSelectRows(1);',
+        'When.onTheMainPage.onTable().iExecuteAction("Create");',
+        'Then.onTheObjectPage.iSeeThisPage();',
+        'When.onTheObjectPage.onForm({ section: "General" }).iChangeField({ property: "Description" }, "Trip \\"to\\" Rome");',
+        'When.onTheObjectPage.onFooter().iExecuteSave();',
+        'Given.iTearDownMyApp();'
+    ].forEach((line) => assert.ok(lines.includes(line), 'missing: ' + line));
+    assert.match(journey, /\/\/ #8 click_by_selector .* - failed during recording, not exported/);
+});
+
+test('page object names can be overridden', () => {
+    const journey = exportOpa5Journey(flow, { all, formSection: 'General', listReportPage: 'onTheTravelList', objectPage: 'onTheTravel' });
+    assert.match(journey, /When\.onTheTravelList\.onFilterBar\(\)\.iExecuteSearch\(\);/);
+    assert.match(journey, /When\.onTheTravel\.onFooter\(\)\.iExecuteSave\(\);/);
+});
+
+test('fill_form_field needs the form section', () => {
+    assert.throws(() => exportOpa5Journey(flow, { all }), /--form-section/);
+});
+
+test('rows recorded by match are passed to sap.fe.test as key values', () => {
+    const journey = exportOpa5Journey({ ...flow, steps: [{ tool: 'open_object_page', arguments: { match: { TravelID: '4711' } }, outcome: 'success' }] });
+    assert.match(journey, /When\.onTheMainPage\.onTable\(\)\.iPressRow\(\{"TravelID":"4711"\}\);/);
+});
+
+test('steps on another table than the list report table are left out', () => {
+    const step = { tool: 'select_row', arguments: { rowIndex: 0, table: 'Bookings' }, outcome: 'success' };
+    assert.match(exportOpa5Journey(withStep(step), { all, formSection: 'General' }), /\/\/ #9 select_row .* - table "Bookings" is not the list report table, not exported/);
+});
+
+test('tools without a sap.fe.test equivalent are left out and tools no server has are refused', () => {
+    const step = { tool: 'wait_for_selector', arguments: { selector: '#ready' }, outcome: 'success' };
+    assert.match(exportOpa5Journey(withStep(step), { all, formSection: 'General' }), /\/\/ #9 wait_for_selector .* - no sap\.fe\.test equivalent, not exported/);
+    assert.throws(() => exportOpa5Journey(withStep({ tool: 'no_such_tool', arguments: {}, outcome: 'success' }), { all, formSection: 'General' }), /Cannot export tool: no_such_tool/);
+});
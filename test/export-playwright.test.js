@@ -0,0 +1,90 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const vm = require('vm');
+const flow = require('./fixtures/flow.json');
+const all = require('./fixtures/all.json');
+const { getConfig } = require('../src/runtime/config');
+const pageActions = require('../src/runtime/page-actions');
+const { exportPlaywrightSpec } = require('../src/export-playwright');
+
+// A copy of the fixture flow with one more step
+function withStep(step) {
+    return { ...flow, steps: [...flow.steps, { outcome: 'success', ...step }] };
+}
+
+test('the recorded flow becomes a spec', () => {
+    const spec = exportPlaywrightSpec(flow, { all, title: 'create a travel' });
+    // Compiles without running, so the generated file is at least valid JavaScript
+    assert.doesNotThrow(() => new vm.Script(spec));
+    assert.match(spec, /const APP_URL = process\.env\.URL \|\| "https:\/\/example\.com\/ui\/index\.html#travel-manage";/);
+    assert.match(spec, /test\("create a travel", async \(\{ page \}\) => \{/);
+    assert.match(spec, /await setFilter\(page, \{"propertyKey":"AgencyID","selectors":\{"inputCss":".*AgencyID-inner-inner"\}\}, "070001"\);/);
+    assert.match(spec, /await pressGo\(page\);/);
+    assert.match(spec, /await selectRow\(page, 1\);/);
+    assert.match(spec, /expectSuccess\(await executeTableAction\(page, "Create"\)\);\n\s+await expectScenario\(page, "form_opened"\);/);
+    assert.match(spec, /await fillFormField\(page, "Description", "Trip \\"to\\" Rome"\);/);
+    assert.match(spec, /\/\/ #8 click_by_selector .* - failed during recording, not exported/);
+    assert.doesNotMatch(spec, /get_table_rows/);
+});
+
+test('the page actions are the runtime functions', () => {
+    const spec = exportPlaywrightSpec(flow, { all });
+    ['pressGo', 'setFilter', 'fillFormField', 'executeTableAction', 'selectRow', 'primaryTable', 'revealGridRow'].forEach((name) => {
+        assert.ok(spec.includes(pageActions[name].toString()), name + ' is embedded from src/runtime/page-actions.js');
+    });
+    // Only the helpers the flow uses are emitted
+    assert.ok(!spec.includes(pageActions.executeDialogAction.toString()));
+});
+
+test('selector steps use the runtime click and typing', () => {
+    const steps = [
+        { tool: 'open_object_page', arguments: { rowIndex: 0 }, outcome: 'success' },
+        { tool: 'click_by_selector', arguments: { selector: '#edit' }, outcome: 'success' },
+        { tool: 'type_by_selector', arguments: { selector: '#note', value: 'x' }, outcome: 'success' }
+    ];
+    const spec = exportPlaywrightSpec({ ...flow, steps: [...flow.steps, ...steps] }, { all });
+    ['clickBySelector', 'typeBySelector', 'openObjectPage'].forEach((name) => {
+        assert.ok(spec.includes(pageActions[name].toString()), name + ' is embedded from src/runtime/page-actions.js');
+    });
+    assert.match(spec, /expectSuccess\(await clickBySelector\(page, "#edit"\)\);\n\s+await waitForUi5Idle\(page\);/);
+    assert.match(spec, /expectSuccess\(await typeBySelector\(page, "#note", "x"\)\);/);
+    assert.doesNotMatch(spec, /firePress\(page/);
+});
+
+test('viewport and timeouts come from the config at export time', () => {
+    const { browser, timeouts } = getConfig();
+    const saved = { viewport: browser.viewport, defaultMs: timeouts.defaultMs, toolSettleMs: timeouts.toolSettleMs };
+    Object.assign(browser, { viewport: { width: 1280, height: 720 } });
+    Object.assign(timeouts, { defaultMs: 120000, toolSettleMs: 5000 });
+    try {
+        const spec = exportPlaywrightSpec(flow, { all });
+        assert.match(spec, /test\.use\(\{ viewport: \{"width":1280,"height":720\} \}\);/);
+        assert.match(spec, /test\.setTimeout\(120000\);/);
+        assert.match(spec, /const TIMEOUTS = \{.*"toolSettleMs":5000.*\};/);
+    } finally {
+        browser.viewport = saved.viewport;
+        Object.assign(timeouts, { defaultMs: saved.defaultMs, toolSettleMs: saved.toolSettleMs });
+    }
+});
+
+test('a flow recorded after start_app still opens the app', () => {
+    const spec = exportPlaywrightSpec({ ...flow, steps: flow.steps.slice(2) }, { all });
+    assert.match(spec, /test\.setTimeout\(\d+\);\n\s+await startApp\(page\);\n\s+\/\/ #0 press_go/);
+});
+
+test('set_filter needs all.json and unknown tools are refused', () => {
+    assert.throws(() => exportPlaywrightSpec(flow, { all: null }), /Filter not found in all\.json: agency/);
+    assert.throws(() => exportPlaywrightSpec(withStep({ tool: 'no_such_tool', arguments: {} }), { all }), /Cannot export tool: no_such_tool/);
+    assert.throws(() => exportPlaywrightSpec({ steps: [] }), /Flow has no steps/);
+});
+
+test('rows recorded by match are looked up again when the spec runs', () => {
+    const spec = exportPlaywrightSpec(withStep({ tool: 'open_object_page', arguments: { match: { TravelID: '4711' } } }), { all });
+    assert.match(spec, /await openObjectPage\(page, await findRow\(page, \{"TravelID":"4711"\}\)\);/);
+    assert.match(spec, /async function findRow\(page, match\)/);
+});
+
+test('steps on another table than the list report table are refused', () => {
+    assert.throws(() => exportPlaywrightSpec(withStep({ tool: 'select_row', arguments: { rowIndex: 0, table: 'Bookings' } }), { all }),
+        /Cannot export select_row on table "Bookings": only the list report table is supported/);
+});
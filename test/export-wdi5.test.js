@@ -0,0 +1,48 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const vm = require('vm');
+const flow = require('./fixtures/flow.json');
+const all = require('./fixtures/all.json');
+const scan = require('./fixtures/scan.json');
+const { exportWdi5Spec } = require('../src/export-wdi5');
+
+// A copy of the fixture flow with one more step
+function withStep(step) {
+    return { ...flow, steps: [...flow.steps, step] };
+}
+
+test('the recorded flow becomes a spec addressing controls by id', () => {
+    const spec = exportWdi5Spec(flow, { scan, all, title: 'create a travel' });
+    assert.doesNotThrow(() => new vm.Script(spec));
+    assert.match(spec, /const HASH = "#travel-manage";/);
+    assert.match(spec, /\/\/ baseUrl in wdio\.conf\.js must point to: https:\/\/example\.com\/ui\/index\.html/);
+    assert.match(spec, /await \(await control\(\{ id: "app::LR--fe::FilterBar::Travel::FilterField::AgencyID-inner" \}\)\)\.enterText\("070001"\);/);
+    assert.match(spec, /await \(await control\(\{ id: "app::LR--fe::FilterBar::Travel-btnSearch" \}\)\)\.press\(\);/);
+    assert.match(spec, /await \(await \(await tableItem\("app::LR--fe::table::Travel::LineItem-innerTable", 1\)\)\.getModeControl\(\)\)\.press\(\);/);
+    assert.match(spec, /await \(await control\(\{ id: "app::LR--fe::table::Travel::LineItem::StandardAction::Create" \}\)\)\.press\(\);/);
+    assert.match(spec, /control\(\{ id: "app::OP--fe::FormContainer::Desc::FormElement::DataField::Description::Field-edit" \}\)\)\.enterText\("Trip \\"to\\" Rome"\);/);
+    assert.match(spec, /sap\.uxap\.ObjectPageLayout/);
+    assert.match(spec, /\/\/ #8 click_by_selector .* - failed during recording, not exported/);
+});
+
+test('steps without a control in scan.json are refused', () => {
+    assert.throws(() => exportWdi5Spec(flow, { scan: { controls: [] }, all }), /Filter not found in scan\.json: agency/);
+});
+
+test('rows recorded by match are looked up by their bound values', () => {
+    const plain = exportWdi5Spec(flow, { scan, all });
+    assert.doesNotMatch(plain, /tableItemMatching/);
+    const spec = exportWdi5Spec({ ...flow, steps: [{ tool: 'open_object_page', arguments: { match: { TravelID: '4711' } }, outcome: 'success' }] }, { scan, all });
+    assert.match(spec, /await \(await tableItemMatching\("app::LR--fe::table::Travel::LineItem-innerTable", \{"TravelID":"4711"\}\)\)\.press\(\);/);
+    assert.match(spec, /async function tableItemMatching\(tableId, match\)/);
+});
+
+test('steps on another table than the list report table are left out', () => {
+    const step = { tool: 'select_row', arguments: { rowIndex: 0, table: 'Bookings' }, outcome: 'success' };
+    assert.match(exportWdi5Spec(withStep(step), { scan, all }), /\/\/ #9 select_row .* - table "Bookings" is not the list report table, not exported/);
+});
+
+test('tools no server has are refused and read-only tools are dropped', () => {
+    assert.throws(() => exportWdi5Spec(withStep({ tool: 'no_such_tool', arguments: {}, outcome: 'success' }), { scan, all }), /Cannot export tool: no_such_tool/);
+    assert.doesNotMatch(exportWdi5Spec(withStep({ tool: 'list_apps', arguments: {}, outcome: 'success' }), { scan, all }), /list_apps/);
+});
@@ -0,0 +1,83 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { getConfig } = require('../src/runtime/config');
+const { FioriSession } = require('../src/runtime/FioriSession');
+
+const APP_METADATA = {
+    url: 'https://example.com/ui/index.html#travel-manage',
+    filters: [{ propertyKey: 'AgencyID', label: 'Agency', selector: '#agency-inner' }]
+};
+
+// Enough of a Playwright page for the selector tools; inPage answers every evaluate except the idle check
+function fakePage({ inPage = () => ({ success: true, id: 'btn' }), waitForSelector = async () => {} } = {}) {
+    return {
+        isClosed: () => false,
+        url: () => APP_METADATA.url,
+        evaluate: async (fn, arg) => (fn.name === 'ui5BusyState' ? [] : inPage(arg)),
+        waitForSelector,
+        waitForFunction: async () => {}
+    };
+}
+
+let session;
+
+beforeEach(async () => {
+    Object.assign(getConfig().safety, { readOnly: false, blockedActions: [] });
+    getConfig().timeouts.idleQuietMs = 0;
+    session = new FioriSession(APP_METADATA);
+    session.page = fakePage();
+    await session.callTool('record_flow_start', {});
+});
+
+function recordedSteps() {
+    return session.flowRecorder.steps;
+}
+
+test('a tool that succeeds is recorded as success', async () => {
+    await session.callTool('wait_for_selector', { selector: '#ready' });
+    assert.deepStrictEqual(recordedSteps().map((s) => [s.tool, s.outcome]), [['wait_for_selector', 'success']]);
+});
+
+test('a tool that throws is recorded as error', async () => {
+    session.page = null;
+    await assert.rejects(session.callTool('press_go', {}), /Call 'start_app' first/);
+    const [step] = recordedSteps();
+    assert.strictEqual(step.outcome, 'error');
+    assert.match(step.error, /Browser page is not initialized/);
+});
+
+test('a tool that reports its failure as text is recorded as error', async () => {
+    session.page = fakePage({
+        inPage: () => ({ success: false, reason: 'Element not found' }),
+        waitForSelector: async () => { throw new Error('timeout'); }
+    });
+    const results = [
+        await session.callTool('wait_for_selector', { selector: '#never', timeoutMs: 10 }),
+        await session.callTool('click_by_selector', { selector: '#missing' }),
+        await session.callTool('set_filter', { propertyKey: 'Customer', value: '1' })
+    ];
+    assert.ok(results.every((result) => result.isError === true));
+    assert.deepStrictEqual(recordedSteps().map((s) => [s.tool, s.outcome, s.error]), [
+        ['wait_for_selector', 'error', 'Timeout waiting for: #never'],
+        ['click_by_selector', 'error', 'Click failed: Element not found'],
+        ['set_filter', 'error', 'Filter not found: Customer']
+    ]);
+});
+
+test('recorder controls are not recorded', async () => {
+    const stopped = await session.callTool('record_flow_stop', {});
+    assert.deepStrictEqual(JSON.parse(stopped.content[1].text).steps, []);
+});
+
+test('replay counts a tool that reports its failure as a failed step', async () => {
+    session.closeApp = async () => {};
+    session.startApp = async () => {};
+    session.page = fakePage({ inPage: () => ({ success: false, reason: 'Element not found' }) });
+    const replay = await session.replayFlow({
+        steps: [{ tool: 'click_by_selector', arguments: { selector: '#gone' }, outcome: 'success' }]
+    });
+    assert.strictEqual(replay.isError, true);
+    const [step] = JSON.parse(replay.content[1].text).steps;
+    assert.deepStrictEqual([step.status, step.outcome, step.error], ['failed', 'error', 'Click failed: Element not found']);
+    assert.deepStrictEqual(step.divergences, ['click_by_selector ended with error (Click failed: Element not found) where the recording saw success']);
+});
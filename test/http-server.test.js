@@ -0,0 +1,50 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { FioriAppHTTPServer } = require('../src/runtime/http-server');
+
+const INITIALIZE = {
+    jsonrpc: '2.0',
+    id: 1,
+    method: 'initialize',
+    params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'test', version: '1.0.0' } }
+};
+
+let server;
+let listener;
+
+beforeEach(async () => {
+    server = new FioriAppHTTPServer({}, { maxSessions: 1 });
+    await new Promise((resolve) => { listener = server.app.listen(0, '127.0.0.1', resolve); });
+});
+
+afterEach(async () => {
+    server.pool.stopSweeper();
+    await new Promise((resolve) => listener.close(resolve));
+});
+
+function postMcp(body) {
+    return fetch(`http://127.0.0.1:${listener.address().port}/mcp`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', accept: 'application/json, text/event-stream' },
+        body: JSON.stringify(body)
+    });
+}
+
+test('an MCP request that fails is answered with a JSON-RPC error', async () => {
+    server.openMcpSession = async () => { throw new Error('Browser launch failed'); };
+    const response = await postMcp(INITIALIZE);
+    assert.strictEqual(response.status, 500);
+    assert.deepStrictEqual(await response.json(), {
+        jsonrpc: '2.0',
+        error: { code: -32603, message: 'Browser launch failed' },
+        id: null
+    });
+});
+
+test('an initialize that fails gives its session slot back', async () => {
+    server.openMcpSession = async () => { throw new Error('Browser launch failed'); };
+    assert.strictEqual((await postMcp(INITIALIZE)).status, 500);
+    assert.strictEqual((await postMcp(INITIALIZE)).status, 500);
+    assert.strictEqual(server.pool.reserved, 0);
+    assert.strictEqual(server.pool.isFull(), false);
+});
@@ -0,0 +1,89 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { getConfig } = require('../src/runtime/config');
+const { FioriSession } = require('../src/runtime/FioriSession');
+
+// A list report whose table has the standard Delete and a bound Approve action: action_delete and action_approve
+const APP_METADATA = {
+    tables: [{ actions: [{ text: 'Delete', standard: true }, { text: 'Approve' }] }]
+};
+
+let session;
+
+function useSafety(safety) {
+    Object.assign(getConfig().safety, { readOnly: false, blockedActions: [] }, safety);
+}
+
+beforeEach(() => {
+    useSafety({});
+    session = new FioriSession(APP_METADATA);
+});
+
+test('the app metadata yields one tool per table action', () => {
+    assert.deepStrictEqual(session.actionTools.map((t) => t.name), ['action_delete', 'action_approve']);
+});
+
+test('readOnly blocks action tools and mutating tools', () => {
+    useSafety({ readOnly: true });
+    ['action_delete', 'action_approve', 'execute_action', 'execute_object_action', 'execute_dialog_action', 'submit_form', 'click_by_selector', 'type_by_selector'].forEach((name) => {
+        assert.throws(() => session.checkSafety(name, { action: 'Approve' }), new RegExp(`${name} changes data and is blocked by safety.readOnly`));
+    });
+});
+
+test('readOnly lets reading and navigating tools through', () => {
+    useSafety({ readOnly: true });
+    ['start_app', 'press_go', 'set_filter', 'get_table_rows', 'select_row', 'open_object_page'].forEach((name) => {
+        assert.doesNotThrow(() => session.checkSafety(name, {}));
+    });
+});
+
+test('without readOnly nothing is blocked', () => {
+    ['action_delete', 'execute_object_action', 'submit_form'].forEach((name) => {
+        assert.doesNotThrow(() => session.checkSafety(name, { action: 'Delete' }));
+    });
+});
+
+test('blockedActions matches the label of action_* tools', () => {
+    useSafety({ blockedActions: ['delete'] });
+    assert.throws(() => session.checkSafety('action_delete', {}), /Action "Delete" is blocked by safety.blockedActions/);
+    assert.doesNotThrow(() => session.checkSafety('action_approve', {}));
+});
+
+test('blockedActions matches the action argument of the execute_* tools', () => {
+    useSafety({ blockedActions: ['Delete'] });
+    ['execute_action', 'execute_table_action', 'execute_object_action', 'execute_dialog_action'].forEach((name) => {
+        assert.throws(() => session.checkSafety(name, { action: ' DELETE ' }), /Action " DELETE " is blocked by safety.blockedActions/);
+        assert.doesNotThrow(() => session.checkSafety(name, { action: 'Edit' }));
+    });
+});
+
+test('blockedActions ignores the arguments of other tools', () => {
+    useSafety({ blockedActions: ['Delete'] });
+    assert.doesNotThrow(() => session.checkSafety('fill_form_field', { fieldName: 'Delete', value: 'Delete', action: 'Delete' }));
+});
+
+test('callTool refuses a blocked tool before it needs a page', async () => {
+    useSafety({ blockedActions: ['Approve'] });
+    await assert.rejects(session.callTool('action_approve', {}), /Action "Approve" is blocked by safety.blockedActions/);
+});
+
+test('readOnly blocks the table cell editing tools', () => {
+    useSafety({ readOnly: true });
+    assert.throws(() => session.checkSafety('set_table_cell', { column: 'Price', value: '10' }), /set_table_cell changes data and is blocked by safety.readOnly/);
+    assert.throws(() => session.checkSafety('add_table_row', {}), /add_table_row changes data and is blocked by safety.readOnly/);
+    assert.doesNotThrow(() => session.checkSafety('get_table_cell', { column: 'Price' }));
+});
+
+test('add_table_row does not press a Create button listed in blockedActions', async () => {
+    useSafety({ blockedActions: ['Create'] });
+    let clicked = false;
+    session.resolveTable = async () => ({ tableId: 'op--Bookings-innerTable' });
+    session.page = {
+        evaluate: async () => ({ tables: [{ tableId: 'op--Bookings-innerTable', actions: [{ id: 'op--Bookings::StandardAction::Create', text: 'Anlegen', enabled: true }] }] }),
+        locator: () => ({ click: async () => { clicked = true; } })
+    };
+    await assert.rejects(session.addTableRow(), /Action "Create" is blocked by safety.blockedActions/);
+    useSafety({ blockedActions: ['anlegen'] });
+    await assert.rejects(session.addTableRow(), /Action "Anlegen" is blocked by safety.blockedActions/);
+    assert.strictEqual(clicked, false);
+});
@@ -0,0 +1,65 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getConfig } = require('../src/runtime/config');
+const { FioriSession } = require('../src/runtime/FioriSession');
+
+let dir;
+let saved;
+let session;
+let waits;
+
+// An ABAP logon page whose fields all exist; landing is what the page shows after submitting
+function fakeLoginPage(landing) {
+    const field = { count: async () => 1, first: () => field, fill: async () => {}, click: async () => {} };
+    return {
+        url: () => 'https://example.com/sap/bc/ui2/flp',
+        locator: () => field,
+        waitForNavigation: async () => {},
+        waitForFunction: async (fn, arg, options) => {
+            waits.push(options.timeout);
+            return { jsonValue: async () => landing };
+        }
+    };
+}
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fiori-mcp-login-'));
+    saved = { auth: { ...getConfig().auth }, loginMs: getConfig().timeouts.loginMs, env: { LOGIN_USER: process.env.LOGIN_USER, LOGIN_PASSWORD: process.env.LOGIN_PASSWORD } };
+    getConfig().auth.storageState = path.join(dir, 'storage-state.json');
+    getConfig().timeouts.loginMs = 1234;
+    Object.assign(process.env, { LOGIN_USER: 'alice', LOGIN_PASSWORD: 'secret' });
+    waits = [];
+    session = new FioriSession({});
+    session.context = { storageState: async ({ path: statePath }) => fs.writeFileSync(statePath, '{"cookies":[]}') };
+});
+
+afterEach(() => {
+    Object.assign(getConfig().auth, saved.auth);
+    getConfig().timeouts.loginMs = saved.loginMs;
+    Object.entries(saved.env).forEach(([name, value]) => {
+        if (value === undefined) delete process.env[name];
+        else process.env[name] = value;
+    });
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('a successful scripted login saves the session', async () => {
+    session.page = fakeLoginPage('ui5');
+    await session.loginWithCredentials();
+    assert.ok(fs.existsSync(getConfig().auth.storageState));
+    assert.deepStrictEqual(waits, [1234]);
+});
+
+test('a login that stays on the logon page fails without saving the session', async () => {
+    session.page = fakeLoginPage('login');
+    await assert.rejects(session.loginWithCredentials(), /Login step "verify" failed: still on the logon page/);
+    assert.ok(!fs.existsSync(getConfig().auth.storageState));
+});
+
+test('an app that does not load after the login fails within timeouts.loginMs', async () => {
+    session.page = { ...fakeLoginPage('ui5'), waitForFunction: async () => { throw new Error('Timeout 1234ms exceeded'); } };
+    await assert.rejects(session.loginWithCredentials(), /Login step "verify" failed: the app did not load within 1234 ms after submitting/);
+});
@@ -0,0 +1,71 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { SessionPool } = require('../src/runtime/session-pool');
+
+function pool(options = {}) {
+    return new SessionPool({ maxSessions: 2, idleTimeoutMs: 1000, ...options });
+}
+
+test('reserved slots count against the limit until released', () => {
+    const sessions = pool();
+    const first = sessions.reserve();
+    const second = sessions.reserve();
+    assert.ok(first && second);
+    assert.strictEqual(sessions.reserve(), null);
+    assert.strictEqual(sessions.isFull(), true);
+    first();
+    first();
+    assert.strictEqual(sessions.reserved, 1);
+    assert.strictEqual(sessions.isFull(), false);
+    second();
+    assert.strictEqual(sessions.reserved, 0);
+});
+
+test('an added entry takes over its reserved slot', () => {
+    const sessions = pool();
+    const release = sessions.reserve();
+    sessions.add('a', { type: 'mcp' });
+    release();
+    sessions.add('b', { type: 'rest' });
+    assert.strictEqual(sessions.isFull(), true);
+    assert.strictEqual(sessions.reserve(), null);
+    assert.deepStrictEqual(sessions.list('rest').map((entry) => entry.id), ['b']);
+    sessions.remove('a');
+    assert.strictEqual(sessions.isFull(), false);
+    sessions.stopSweeper();
+});
+
+test('sweep expires idle entries and skips entries in use', async () => {
+    const expired = [];
+    const sessions = pool({ onExpire: (entry) => expired.push(entry.id) });
+    sessions.add('idle', { type: 'rest' }).lastUsedAt -= 5000;
+    sessions.add('busy', { type: 'rest' }).lastUsedAt -= 5000;
+    sessions.add('fresh', { type: 'rest' });
+    const release = sessions.acquire('busy');
+    // acquire marks the entry as used now; make it look old again
+    sessions.get('busy').lastUsedAt -= 5000;
+    sessions.sweep();
+    assert.deepStrictEqual(expired, ['idle']);
+    assert.deepStrictEqual(sessions.list().map((entry) => entry.id), ['busy', 'fresh']);
+    release();
+    release();
+    assert.strictEqual(sessions.get('busy').inUse, 0);
+    sessions.sweep();
+    assert.deepStrictEqual(expired, ['idle']);
+    sessions.stopSweeper();
+});
+
+test('the sweeper runs only while entries exist', () => {
+    const sessions = pool();
+    assert.strictEqual(sessions.sweeper, null);
+    sessions.add('a', { type: 'rest' });
+    assert.ok(sessions.sweeper);
+    sessions.remove('a');
+    assert.strictEqual(sessions.sweeper, null);
+});
+
+test('acquire on an unknown id is a no-op', () => {
+    const sessions = pool();
+    assert.doesNotThrow(() => sessions.acquire('missing')());
+    assert.strictEqual(sessions.get(undefined), null);
+});
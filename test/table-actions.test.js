@@ -0,0 +1,37 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { FioriSession } = require('../src/runtime/FioriSession');
+const pageActions = require('../src/runtime/page-actions');
+
+// An object page table FE renders without a toolbar
+const BOOKINGS = { tableId: 'op--Bookings-innerTable', toolbarId: null };
+
+test('get_table_actions lists the standard actions of a table without a toolbar', async () => {
+    const session = new FioriSession({});
+    session.resolveTable = async () => BOOKINGS;
+    let request = null;
+    session.page = {
+        evaluate: async (fn, arg) => {
+            request = arg;
+            return [{ id: 'op--Bookings::StandardAction::Create', text: 'Create', enabled: true }];
+        }
+    };
+    const result = JSON.parse((await session.getTableActions('Bookings')).content[0].text);
+    assert.deepStrictEqual(request, { toolbarId: null, standardPrefix: 'op--Bookings::StandardAction::' });
+    assert.strictEqual(result.note, 'op--Bookings-innerTable has no toolbar; only its FE standard actions are listed');
+    assert.deepStrictEqual(result.actions.map((action) => action.text), ['Create']);
+});
+
+test('execute_table_action on a table without a toolbar tries its standard action ids only', async () => {
+    const tried = [];
+    const page = { $: async (selector) => { tried.push(selector); return null; } };
+    const result = await pageActions.executeTableAction(page, 'delete', BOOKINGS);
+    assert.deepStrictEqual(tried, [
+        'button[id*="op--Bookings::StandardAction::delete"]',
+        'button[id*="op--Bookings::StandardAction::Delete"]'
+    ]);
+    assert.deepStrictEqual(result, {
+        success: false,
+        reason: 'Action not found: delete; op--Bookings-innerTable has no toolbar, only its FE standard actions were tried'
+    });
+});